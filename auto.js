@@ -0,0 +1,17 @@
+/* Ethical ad client script tag bundle
+ *
+ * This is the entry point of `ethicalads.js` and `ethicalads.min.js`.
+ * It's the same as the module (`index.js`) except that the placements on the
+ * page are loaded as soon as the script is loaded.
+ *
+ * Usage:
+ *
+ *     <script async src="ethicalads.min.js"></script>
+ *     <div data-ea-publisher="foo" data-ea-type="text"></div>
+ */
+
+import { start } from "./index";
+
+export * from "./index";
+
+start();
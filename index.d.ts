@@ -0,0 +1,249 @@
+// Type definitions for the EthicalAds client
+// These describe the public API of `index.js`. Keep them in sync.
+
+/** A response from the decision API */
+export interface DecisionResponse {
+  /** Ad ID, used to cap how often an ad is shown */
+  id?: string;
+  /** HTML of the ad */
+  html: string;
+  /** URL of the view pixel */
+  view_url: string;
+  /** URL the view time is sent to */
+  view_time_url?: string;
+  /** Placement ID (`div_id`) of a decision in a batch */
+  div_id?: string;
+}
+
+/** A response from the decision API for a batch of placements */
+export interface BatchDecisionResponse {
+  decisions: DecisionResponse[];
+}
+
+export interface RotationOptions {
+  /** Seconds the ad must be viewed before rotating */
+  minViewTime?: number;
+  /** Maximum number of ads shown, including the first */
+  maxRotations?: number;
+  hashchange?: boolean;
+  visibilitychange?: boolean;
+  /** Seconds the tab must be hidden before rotating */
+  visibilitychangeDelay?: number;
+  /** Seconds of view time between rotations, 0 to disable */
+  interval?: number;
+}
+
+/** A same-origin URL of HTML, an element to copy or a function returning HTML */
+export type FallbackContent =
+  | string
+  | Node
+  | ((
+      reason: "nofill" | "blocked" | "error",
+      placement: Placement
+    ) => string | Node | null | Promise<string | Node | null>);
+
+/** Options for `createPlacement`, the same as the `data-ea-*` attributes */
+export interface PlacementOptions {
+  publisher: string;
+  /** "image" (default) or "text" */
+  type?: string;
+  keywords?: string | string[];
+  keywordSource?: string;
+  keywordScope?: "page" | "section";
+  campaignTypes?: string | string[];
+  manual?: boolean;
+  /** "stickybox" or "fixedfooter" */
+  style?: string;
+  forceAd?: string;
+  forceCampaign?: string;
+  transport?: "fetch" | "jsonp";
+  server?: string;
+  batch?: boolean;
+  lazy?: boolean;
+  frequencyCap?: boolean;
+  fallback?:
+    | FallbackContent
+    | {
+        nofill?: FallbackContent;
+        blocked?: FallbackContent;
+        error?: FallbackContent;
+      };
+  render?: "light" | "shadow";
+  rotation?: RotationOptions;
+  /** CSS `bottom` of the placement, with a unit (eg. "200px") */
+  placementBottom?: string;
+}
+
+export type PlacementEventName =
+  | "loaded"
+  | "nofill"
+  | "blocked"
+  | "error"
+  | "fallback"
+  | "viewed"
+  | "viewtime-sent"
+  | "rotated"
+  | "closed";
+
+export type PlacementEvent = CustomEvent<{
+  placement: Placement;
+  [detail: string]: unknown;
+}>;
+
+export class Placement {
+  static from_element(element: Element): Placement | null;
+  static create(element: Element, options: PlacementOptions): Placement;
+
+  publisher: string;
+  ad_type: string;
+  target: Element;
+  div_id: string;
+  style?: string;
+  keywords: string[];
+  detected_keywords: string[] | null;
+  campaign_types: string[];
+  render: "light" | "shadow";
+  response: DecisionResponse | null;
+  /** Why the last ad decision request failed */
+  error: DecisionError | Error | null;
+  outcome:
+    | "loaded"
+    | "nofill"
+    | "blocked"
+    | "timeout"
+    | "server-error"
+    | "network-error"
+    | null;
+  view_time: number;
+  /** View time already sent to the server */
+  view_time_sent: number;
+  viewed: boolean;
+  rotations: number;
+
+  load(decision?: Promise<Element | null | undefined>): Promise<Placement>;
+  refresh(): Promise<Placement>;
+  /** Returns undefined if the placement can't rotate (see `canRotate()`) */
+  rotate(): Promise<Placement> | undefined;
+  canRotate(): boolean;
+  destroy(): void;
+  close(): void;
+  detectKeywords(): string[];
+  sendViewTime(): void;
+}
+
+/** The `<ethical-ad>` custom element */
+export class EthicalAdElement extends HTMLElement {
+  placement: Placement | null;
+  reload(): Promise<void>;
+}
+
+export class EthicalAdsWarning extends Error {}
+export class EthicalAdsError extends Error {}
+
+export class DecisionError extends Error {
+  constructor(message?: string, status?: number);
+  /** The HTTP status of server errors */
+  status?: number;
+  /** Number of requests made, including retries */
+  attempts: number;
+}
+export class DecisionTimeoutError extends DecisionError {}
+export class DecisionBlockedError extends DecisionError {}
+export class DecisionNetworkError extends DecisionError {}
+export class DecisionServerError extends DecisionError {}
+
+export type Transport = (
+  url: string,
+  params: Record<string, string>,
+  signal?: AbortSignal
+) => Promise<DecisionResponse | BatchDecisionResponse>;
+
+export const transports: { fetch: Transport; jsonp: Transport };
+
+export interface KeywordOptions {
+  keywords: Set<string>;
+  max_keywords: number;
+  min_occurrences: number;
+}
+
+export interface LogRecord {
+  time: number;
+  level: "debug" | "info" | "warn" | "error";
+  /** Event code such as "nofill" or "invalid-server" */
+  code: string | null;
+  /** Placement ID (`div_id`) */
+  placement: string | null;
+  message: string;
+}
+
+export type LogSink = "console" | "buffer" | ((record: LogRecord) => void);
+
+export interface BlockingDetection {
+  acceptableAds: boolean;
+  decisionBlocked: boolean;
+  pixelBlocked: boolean;
+}
+
+export function start(): Promise<Placement[]>;
+export function createPlacement(
+  element: Element,
+  options: PlacementOptions
+): Placement;
+/** Registers the `<ethical-ad>` element, which `start()` also does */
+export function define_element(): boolean;
+export function load_placements(force_load?: boolean): Promise<Placement[]>;
+export function unload_placements(): void;
+export function watch_navigation(): () => void;
+export function detectBlocking(): Promise<BlockingDetection>;
+export function on(
+  name: PlacementEventName | `ea:${PlacementEventName}`,
+  handler: (event: PlacementEvent) => void
+): () => void;
+export function check_dependencies(): boolean;
+export function set_verbosity(): void;
+export function extract_keywords(
+  elements: Element[],
+  options: KeywordOptions
+): string[];
+export function register_keyword_aliases(aliases: Record<string, string>): void;
+export function register_keyword_extractor(
+  extractor: ((elements: Element[], options: KeywordOptions) => string[]) | null
+): void;
+export function register_consent_hook(hook: (() => boolean) | null): void;
+export function register_log_sink(sink: LogSink | null): void;
+export function log_records(): LogRecord[];
+
+/** Resolves to the placements loaded by `start()` */
+export let wait: Promise<Placement[]> | undefined;
+/** Loads placements with `data-ea-manual="true"`, set by `start()` */
+export let load: (() => void) | undefined;
+/** Reloads the placements on the page, set by `start()` */
+export let reload: (() => void) | undefined;
+export let uplifted: boolean;
+export let detectedKeywords: string[] | null;
+
+declare global {
+  interface Window {
+    ethicaladsConfig?: {
+      server?: string;
+      abp_detection_px?: string;
+      view_threshold?: number;
+      view_duration?: number;
+      lazy_margin?: string;
+      watch_navigation?: boolean;
+      max_keywords?: number;
+      min_keyword_occurrences?: number;
+      keyword_source?: string;
+      frequency_cap?: boolean;
+      consent_hook?: () => boolean;
+      render?: "light" | "shadow";
+      log_sink?: LogSink;
+      decision_timeout?: number;
+      decision_retries?: number;
+    };
+  }
+
+  interface HTMLElementTagNameMap {
+    "ethical-ad": EthicalAdElement;
+  }
+}
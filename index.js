@@ -4,70 +4,137 @@
  * `ethical-ad` data binding attributes and uses these attributes to query the
  * decision API.
  *
- * This is native JavaScript, no JQuery. It uses the API JSONP interface to get
- * around CORS and related issues. A script is added with a callback on
- * `window`. The promise is rejected if there are errors with the request or the
- * response doesn't look correct.
+ * This is native JavaScript, no JQuery. By default, the decision API is queried
+ * with `fetch()` using CORS. If the CORS request fails, or if the placement is
+ * configured with `data-ea-transport="jsonp"`, the API JSONP interface is used
+ * instead: a script is added with a callback on `window`. The promise is
+ * rejected if there are errors with the request or the response doesn't look
+ * correct.
  *
  * Currently, only two parameters are supported with the ad placement: publisher
  * id and the place type. All of this is determined by the server and this
  * client so far only renders the API return HTML.
  *
- * This can be loaded async. CSS styles are preloaded via webpack `style-loader`.
- * There is some potential for problems if CSP rules disallow inline
- * stylesheets, but webpack does allow for a hardcoded nonce.
+ * This can be loaded async. CSS styles are added to the page via webpack
+ * `style-loader` when the first placement rendered in the page is created. There is some potential
+ * for problems if CSP rules disallow inline stylesheets, but webpack does allow
+ * for a hardcoded nonce. Placements rendered in a shadow root
+ * (`data-ea-render="shadow"`) use a constructed stylesheet instead, which isn't
+ * affected by these CSP rules.
+ *
+ * Importing this module has no side effects: placements are loaded by
+ * `start()`, which the script tag bundle (`auto.js`) calls when it's loaded.
  *
  * Usage:
  *
  *     <script async src="ethicalads.min.js"></script>
  *     <div data-ea-publisher="foo" data-ea-type="text"></div>
+ *
+ * Or with the `<ethical-ad>` custom element:
+ *
+ *     <ethical-ad publisher="foo" type="text"></ethical-ad>
  */
 
 import verge from "verge";
 
-import "./styles.scss";
+import styles from "./styles.scss";
+import shadow_styles from "./shadow.scss";
+import keyword_data from "./keywords.json";
 
 const AD_CLIENT_VERSION = "1.21.0"; // Sent with the ad request
 
-// For local testing, set this
-// const AD_DECISION_URL = "http://ethicaladserver:5000/api/v1/decision/";
-const AD_DECISION_URL = "https://server.ethicalads.io/api/v1/decision/";
+// For local testing, set the server with `data-ea-server` or the global config
+// (eg. "http://ethicaladserver:5000")
+const AD_SERVER = "https://server.ethicalads.io";
+const AD_DECISION_PATH = "/api/v1/decision/";
 const AD_TYPES_VERSION = 1; // Used with the ad type slugs
+const CAMPAIGN_TYPES = ["paid", "publisher-house", "community", "house"];
 const ATTR_PREFIX = "data-ea-";
+const EVENT_PREFIX = "ea:";
+const CUSTOM_ELEMENT_NAME = "ethical-ad"; // The `<ethical-ad>` element
+const RENDER_MODES = ["light", "shadow"]; // Render ads in the page or a shadow root
 const ABP_DETECTION_PX = "https://media.ethicalads.io/abp/px.gif";
 
+// Time to wait on the decision API before aborting a request
+const DECISION_TIMEOUT = 5; // seconds
+// Requests that time out or fail because of the network or the server are
+// retried after a delay which doubles with each retry
+const DECISION_RETRIES = 2;
+const DECISION_RETRY_DELAY = 0.5; // seconds
+
 // Verbosity and logging
 //
 // Set with:
 //
 //  <div data-ea-publisher="..." data-ea-verbosity="quiet"></div>
+//
+// Log records are sent to the console unless there is another sink
+// (see `register_log_sink`). The verbosity only applies to the console.
 const VERBOSITY = {
   quiet: 0, // Errors only
   normal: 1, // Warnings only (default)
   verbose: 2, // Debug messages
 };
+const LOG_LEVEL_VERBOSITY = {
+  debug: VERBOSITY["verbose"],
+  info: VERBOSITY["verbose"],
+  warn: VERBOSITY["normal"],
+  error: VERBOSITY["quiet"],
+};
+const LOG_BUFFER_SIZE = 200; // Records kept by the "buffer" log sink
+const DEBUG_PARAM = "ea-debug"; // Query param to show the debug overlay
 const logger = {
   verbosity: VERBOSITY["normal"], // Default
+  sink: null, // Set by `register_log_sink`, otherwise the `log_sink` config
+  records: [], // Records kept by the "buffer" sink
+
+  /* Creates a log record and sends it to the sink
+   *
+   * The message can be preceded by the context of the record: the event
+   * `code` and the `placement` it's about.
+   *
+   *   logger.warn({ code: "invalid-server", placement: this }, "...", server);
+   *
+   * @param {string} level - "debug", "info", "warn" or "error"
+   * @param {Array} args - Optional context, the message and its params
+   */
+  log(level, args) {
+    const context =
+      args.length && typeof args[0] === "object" ? args.shift() : {};
+    const [message, ...params] = args;
+    const record = {
+      time: Date.now(),
+      level: level,
+      code: context.code || null,
+      placement: context.placement ? context.placement.div_id : null,
+      message: format_message(message, params),
+    };
 
-  debug(message, ...params) {
-    if (this.verbosity >= VERBOSITY["verbose"]) {
-      console.debug(message, ...params);
+    const sink = this.sink || config.log_sink;
+    if (typeof sink === "function") {
+      try {
+        sink(record);
+      } catch (err) {
+        console.error("EthicalAds log sink failed: %s", err.message);
+      }
+    } else if (sink === "buffer") {
+      this.records.push(record);
+      this.records.splice(0, this.records.length - LOG_BUFFER_SIZE);
+    } else if (this.verbosity >= LOG_LEVEL_VERBOSITY[level]) {
+      console[level](message, ...params);
     }
   },
-  info(message, ...params) {
-    if (this.verbosity >= VERBOSITY["verbose"]) {
-      console.info(message, ...params);
-    }
+  debug(...args) {
+    this.log("debug", args);
   },
-  warn(message, ...params) {
-    if (this.verbosity >= VERBOSITY["normal"]) {
-      console.warn(message, ...params);
-    }
+  info(...args) {
+    this.log("info", args);
   },
-  error(message, ...params) {
-    if (this.verbosity >= VERBOSITY["quiet"]) {
-      console.error(message, ...params);
-    }
+  warn(...args) {
+    this.log("warn", args);
+  },
+  error(...args) {
+    this.log("error", args);
   },
 };
 
@@ -77,355 +144,15 @@ const logger = {
 // Additional categorization can be done on the server side for pages
 // that request ads commonly but this quick and easy categorization
 // works decently well most of the time.
-const KEYWORDS = new Set([
-  "2fa",
-  "ai",
-  "airflow",
-  "algolia",
-  "android",
-  "angular",
-  "angularjs",
-  "ansible",
-  "api",
-  "appengine",
-  "app-engine",
-  "arangodb",
-  "artificial-intelligence",
-  "asp-net",
-  "auth0",
-  "authentication",
-  "authorization",
-  "aws",
-  "azure",
-  "babel",
-  "backend",
-  "backend-web",
-  "bayes",
-  "bayesian",
-  "billing",
-  "bitcoin",
-  "blender",
-  "blockchain",
-  "celery",
-  "chartjs",
-  "chatbot",
-  "chatbots",
-  "chatgpt",
-  "chatgpt3",
-  "chatgpt4",
-  "ci",
-  "cicd",
-  "ci-cd",
-  "classifier",
-  "cloud",
-  "cloudformation",
-  "cloud-formation",
-  "cloudfront",
-  "clustering",
-  "cockroachdb",
-  "commonjs",
-  "computer-vision",
-  "container",
-  "containers",
-  "continuousdeployment",
-  "continuous-deployment",
-  "continuousintegration",
-  "continuous-integration",
-  "cordova",
-  "cplusplus",
-  "cryptocurrency",
-  "cryptography",
-  "csharp",
-  "c-sharp",
-  "css",
-  "cssinjs",
-  "cuda",
-  "cve",
-  "cyber-attack",
-  "cybersecurity",
-  "cyber-security",
-  "d3js",
-  "dalle",
-  "dall-e",
-  "dao",
-  "dapp",
-  "dataanalytics",
-  "data-analytics",
-  "database",
-  "datadog",
-  "datalake",
-  "data-lake",
-  "datamesh",
-  "data-mesh",
-  "datascience",
-  "data-science",
-  "datascientist",
-  "data-scientist",
-  "data-visualization",
-  "data-warehouse",
-  "decryption",
-  "deeplearning",
-  "deep-learning",
-  "deepreinforcement",
-  "deep-reinforcement",
-  "defi",
-  "devops",
-  "django",
-  "djangorestframework",
-  "django-rest-framework",
-  "dnssec",
-  "docker",
-  "dockerhub",
-  "docker-hub",
-  "dockerizing",
-  "dogecoin",
-  "dotnet",
-  "duckdb",
-  "elasticsearch",
-  "elastic-search",
-  "emberjs",
-  "erlang",
-  "es6",
-  "eslint",
-  "ethereum",
-  "express",
-  "facedetection",
-  "face-detection",
-  "fiddler",
-  "firebase",
-  "firewall",
-  "flask",
-  "frontend",
-  "frontend-web",
-  "fsharp",
-  "full-stack",
-  "game",
-  "gamedev",
-  "gatsbyjs",
-  "gcp",
-  "gitguardian",
-  "godot",
-  "golang",
-  "google-cloud",
-  "gpt",
-  "grafana",
-  "grails",
-  "graphql",
-  "hacking",
-  "haskell",
-  "heroku",
-  "hyperledger",
-  "indiegame",
-  "indie-game",
-  "influxdb",
-  "infosec",
-  "invoice",
-  "ionic",
-  "ios",
-  "ipfs",
-  "iphone",
-  "java",
-  "javascript",
-  "jenkins",
-  "jfrog",
-  "jinja",
-  "jquery",
-  "julia",
-  "jupyter",
-  "jvm",
-  "kafka",
-  "k-means-clustering",
-  "kotlin",
-  "kubernetes",
-  "laravel",
-  "lint",
-  "linux",
-  "llm",
-  "llms",
-  "log4j",
-  "lucene",
-  "machinelearning",
-  "machine-learning",
-  "mariadb",
-  "matlab",
-  "matplotlib",
-  "maven",
-  "metabase",
-  "mfa",
-  "midjourney",
-  "minecraft",
-  "mkdocs",
-  "ml",
-  "mobile",
-  "model-training",
-  "mongodb",
-  "monitoring",
-  "montecarlo",
-  "monte-carlo",
-  "mysql",
-  "naivebayes",
-  "naive-bayes",
-  "neo4j",
-  "neuralnet",
-  "neural-net",
-  "neural-nets",
-  "neuralnetworks",
-  "neural-networks",
-  "newrelic",
-  "new-relic",
-  "nft",
-  "nginx",
-  "nlp",
-  "node",
-  "nodejs",
-  "nosql",
-  "numpy",
-  "nuxt",
-  "nuxtjs",
-  "oauth",
-  "obj-c",
-  "objectdetection",
-  "object-detection",
-  "openai",
-  "opencv-python-library",
-  "openid",
-  "openid-connect",
-  "openjdk",
-  "openshift",
-  "openssl",
-  "otp",
-  "overfitting",
-  "owasp",
-  "pandas",
-  "payment",
-  "payments",
-  "paypal",
-  "penetration-test",
-  "pentest",
-  "perl",
-  "phishing",
-  "phonegap",
-  "php",
-  "pip",
-  "postcss",
-  "postgres",
-  "postgresql",
-  "privacy",
-  "psf",
-  "pwa",
-  "pydata",
-  "pygame",
-  "pylint",
-  "pypi",
-  "pytest",
-  "python",
-  "pytorch",
-  "pytorch3d",
-  "rabbitmq",
-  "rails",
-  "rdbms",
-  "rds",
-  "react",
-  "reactjs",
-  "react-native",
-  "redis",
-  "redux",
-  "regression",
-  "regressionmodel",
-  "regression-model",
-  "reinforcement-learning",
-  "rollbar",
-  "ruby",
-  "rust",
-  "saltstack",
-  "scala",
-  "scikitlearn",
-  "scikit-learn",
-  "scipy",
-  "scss",
-  "security",
-  "securityvulnerabilities",
-  "security-vulnerabilities",
-  "selenium",
-  "selinux",
-  "sencha",
-  "sentiment-analysis",
-  "sentry",
-  "serverless",
-  "single-page-application",
-  "sklearn",
-  "smartphone",
-  "sms",
-  "snowflake",
-  "snyk",
-  "solana",
-  "solidity",
-  "solr",
-  "spa",
-  "spacy",
-  "sphinx",
-  "sphinx-doc",
-  "spring",
-  "sql",
-  "sqlite",
-  "sqlserver",
-  "sql-server",
-  "stripe",
-  "struts",
-  "subscriptions",
-  "svelte",
-  "sveltejs",
-  "swift",
-  "symfony",
-  "tableau",
-  "tailwind",
-  "tailwindcss",
-  "tailwind-css",
-  "tdd",
-  "technical-writing",
-  "tensor",
-  "tensorflow",
-  "tensorflowjs",
-  "terraform",
-  "test-driven-development",
-  "testing",
-  "tests",
-  "textacy",
-  "timescale",
-  "timeseries",
-  "training-data",
-  "transformers",
-  "travisci",
-  "twilio",
-  "two-factor-auth",
-  "two-factor-authentication",
-  "typescript",
-  "ubuntu",
-  "unittest",
-  "unity",
-  "vision-api",
-  "visualization",
-  "vue",
-  "vuejs",
-  "vuetify",
-  "vuex",
-  "vulnerability",
-  "waf",
-  "web3",
-  "webapp-firewall",
-  "webapplicationfirewall",
-  "web-application-firewall",
-  "webcomponents",
-  "web-components",
-  "webpack",
-  "websecurity",
-  "web-security",
-  "werkzeug",
-  "wireshark",
-  "wsgi",
-  "yarn",
-  "zapier",
-]);
+//
+// The keywords are maintained in `keywords.json` along with aliases, other ways
+// to write a keyword mapped to the keyword sent to the ad server.
+// Publishers can add to the aliases with `register_keyword_aliases`.
+// Run `npm run keywords` to validate the file after changing it and bump the
+// version so the server knows which keywords the client can detect.
+const KEYWORDS = new Set(keyword_data.keywords);
+const KEYWORD_ALIASES = keyword_data.aliases;
+const KEYWORDS_VERSION = keyword_data.version; // Sent with the ad request
 
 // Maximum number of words of a document to analyze looking for keywords
 // This is simply a check against taking too much time on very long documents
@@ -438,12 +165,59 @@ const MAX_KEYWORDS = 3;
 // Minimum number of occurrences of a keyword to consider it
 const MIN_KEYWORD_OCCURRENCES = 2;
 
+// Text in these elements isn't searched for keywords
+// Code samples and navigation are often unrelated to the topic of the page
+// Publishers can mark other parts of the page with `data-ea-ignore`
+const KEYWORD_IGNORE_SELECTOR = [
+  "pre",
+  "code",
+  "nav",
+  "script",
+  "style",
+  "template",
+  "[" + ATTR_PREFIX + "ignore]",
+  "[" + ATTR_PREFIX + "publisher]", // Don't count keywords in our own ads
+].join(", ");
+
+// With `data-ea-keyword-scope="section"`, keywords are detected in the
+// closest of these elements around the placement
+const KEYWORD_SECTION_SELECTOR = "section, article, [role='region']";
+
+// Keywords detected for this many different versions of the page content are
+// kept so placements with the same content don't run the extractor again
+const KEYWORD_CACHE_SIZE = 20;
+
+// Keywords can be phrases of up to this many words (eg. "machine learning")
+const MAX_KEYWORD_PHRASE_WORDS = 3;
+
+// An occurrence of a keyword in these parts of the page counts this many times
+// Headings are part of the main content so they are counted there as well
+const KEYWORD_WEIGHTS = {
+  title: 3, // The page <title>
+  meta: 3, // <meta name="keywords">
+  heading: 2, // <h1>, <h2> and <h3> in the main content
+};
+
 // Time between checking whether the ad is in the viewport to count the time viewed
 // Time viewed is an important advertiser metric
 const VIEW_TIME_INTERVAL = 1; // seconds
+// Longest view time sent at once. Longer view times are sent in several parts.
 const VIEW_TIME_MAX = 5 * 60; // seconds
 
-// In-viewport fudge factor
+// An ad is viewable when at least this fraction of its pixels are in the
+// viewport. A view is counted once it has been viewable for this long.
+// These can be changed with the global config (`view_threshold`, `view_duration`)
+const VIEWABILITY_THRESHOLD = 0.5;
+const VIEWABILITY_DURATION = 1; // seconds
+
+// Browsers without IntersectionObserver poll for viewability this often
+const VIEWABILITY_POLL_INTERVAL = 100; // ms
+
+// Lazy placements request an ad once they are this close to the viewport
+// This is an IntersectionObserver `rootMargin`
+const LAZY_LOAD_MARGIN = "200px";
+
+// In-viewport fudge factor used when polling for viewability
 // A fudge factor of ~3 is needed for the case where the ad
 // is hidden off the side of the screen by a sliding sidebar
 // For example, if the right side of the ad is at x=0
@@ -460,17 +234,78 @@ const MAX_ROTATIONS = 3;
 // Enable ad rotation on hash change (intra-site nav)
 const HASHCHANGE_ROTATION_ENABLE = true;
 
+// Wait for navigation and DOM changes to settle before acting on them
+const NAVIGATION_DEBOUNCE = 300; // ms
+
 // Seconds after a tab comes back into focus to rotate an ad.
 const VISIBILITYCHANGE_ROTATION_ENABLE = false;
 const VISIBILITYCHANGE_ROTATION_DELAY = 3; // seconds
 
+// Rotate an ad after it has been in view continuously this long (0 disables)
+const VIEW_TIME_ROTATION_INTERVAL = 0; // seconds
+
+// The rotation settings above are defaults. Placements can change them
+// within these bounds (see `rotation_policy()`).
+const ROTATION_BOUNDS = {
+  min_view_time: [30, VIEW_TIME_MAX], // seconds
+  max_rotations: [1, 10],
+  visibilitychange_delay: [0, 60], // seconds
+  interval: [30, VIEW_TIME_MAX], // seconds
+};
+
+// Frequency capping
+//
+// When enabled, the ids of the ads shown in this browser session are kept in
+// `sessionStorage` and sent with the decision request so the same ad isn't
+// shown again on rotation or on the next page. Nothing is shared across sites.
+//
+// Enable with:
+//
+//  <div data-ea-publisher="..." data-ea-frequency-cap="true"></div>
+const FREQUENCY_CAP_STORAGE_KEY = "ethicalads-shown-ads";
+const FREQUENCY_CAP_MAX_ADS = 10; // Number of recently shown ads to exclude
+
+// Global configuration
+//
+// This is read once when the client is loaded, so it must be set before the
+// client script. Placement options and attributes take precedence over it.
+//
+// Set with:
+//
+//  <script>
+//    window.ethicaladsConfig = { server: "https://ads.example.com" };
+//  </script>
+const config = Object.assign(
+  {
+    server: AD_SERVER, // Ad server used for decisions and view pixels
+    abp_detection_px: ABP_DETECTION_PX, // Pixel used to detect Acceptable Ads
+    view_threshold: VIEWABILITY_THRESHOLD,
+    view_duration: VIEWABILITY_DURATION,
+    lazy_margin: LAZY_LOAD_MARGIN,
+    watch_navigation: false, // Rotate ads on history API navigation in SPAs
+    frequency_cap: false, // Don't show recently shown ads again
+    consent_hook: null, // Returns false if the user didn't consent to contextual ads
+    render: "light", // Render ads in the page or isolated in a shadow root
+    max_keywords: MAX_KEYWORDS,
+    min_keyword_occurrences: MIN_KEYWORD_OCCURRENCES,
+    keyword_source: null, // Selector for the content searched for keywords
+    log_sink: "console", // "console", "buffer" or a function called with each log record
+    decision_timeout: DECISION_TIMEOUT,
+    decision_retries: DECISION_RETRIES,
+  },
+  // The module can be imported outside a browser (eg. server side rendering)
+  typeof window !== "undefined" ? window.ethicaladsConfig : undefined
+);
+
 /* Placement object to query decision API and return an Element node
  *
  * @param {string} publisher - Publisher ID
  * @param {string} ad_type - Placement ad type id
  * @param {Element} target - Target element
  * @param {Object} options - Various options for configuring the placement such as:
-      keywords, styles, campaign_types, load_manually, force_ad, force_campaign
+      keywords, styles, campaign_types, load_manually, force_ad, force_campaign,
+      transport, batch, server, lazy, rotation, keyword_source, keyword_scope,
+      frequency_cap, fallback, render
  */
 export class Placement {
   constructor(publisher, ad_type, target, options) {
@@ -478,6 +313,11 @@ export class Placement {
     this.ad_type = ad_type;
     this.target = target;
 
+    // Make sure div ids don't collide even with multiple placements
+    this.div_id =
+      target.id ||
+      "ad_" + Date.now() + "_" + Math.floor(Math.random() * 1000000);
+
     // Options
     this.options = options;
     this.style = options.style;
@@ -487,17 +327,75 @@ export class Placement {
     this.force_campaign = options.force_campaign;
     this.campaign_types = options.campaign_types || [];
     if (!this.campaign_types.length) {
-      this.campaign_types = ["paid", "publisher-house", "community", "house"];
+      this.campaign_types = CAMPAIGN_TYPES.slice();
+    }
+    this.transport = options.transport;
+    if (!transports.hasOwnProperty(this.transport)) {
+      if (this.transport) {
+        logger.warn(
+          { code: "invalid-transport", placement: this },
+          "Unknown ad transport '%s'.",
+          this.transport
+        );
+      }
+      this.transport = window.fetch ? "fetch" : "jsonp";
+    }
+    this.batch = options.batch;
+    this.lazy = options.lazy;
+    this.fallback = options.fallback;
+    this.render = options.render || config.render;
+    if (this.render === "shadow" && !target.attachShadow) {
+      logger.warn(
+        { code: "shadow-unsupported", placement: this },
+        "Shadow roots aren't supported. Rendering in the page."
+      );
+      this.render = "light";
     }
+    // Shadow roots have their own styles (see `renderShadow`)
+    if (this.render === "light") {
+      use_styles();
+    }
+    this.frequency_cap =
+      typeof options.frequency_cap === "boolean"
+        ? options.frequency_cap
+        : config.frequency_cap;
+    this.keyword_source = options.keyword_source || config.keyword_source;
+    this.keyword_scope = options.keyword_scope || "page";
+    this.detected_keywords = null; // set by detectKeywords()
+    this.rotation = rotation_policy(options.rotation);
+    this.server = options.server || config.server;
+    try {
+      this.server_origin = new URL(this.server).origin;
+    } catch (err) {
+      logger.error(
+        { code: "invalid-server", placement: this },
+        "Invalid ad server '%s'. Using the default.",
+        this.server
+      );
+      this.server = AD_SERVER;
+      this.server_origin = new URL(AD_SERVER).origin;
+    }
+    this.decision_url = this.server.replace(/\/+$/, "") + AD_DECISION_PATH;
 
     // Initialized and will be used in the future
     this.view_time = 0;
-    this.view_time_sent = false; // true once the view time is sent to the server
+    this.view_time_sent = 0; // view time already sent to the server
+    this.continuous_view_time = 0; // reset when the ad leaves the viewport
+    this.viewed = false; // true once the view pixel is added
+    this.viewable = false; // true while the ad is viewable
+    this.in_view = false; // set by the IntersectionObserver
     this.response = null;
+    this.error = null; // why the last ad decision request failed
+    this.outcome = null; // "loaded", "nofill", "blocked" or the type of error
     this.tab_hidden = false;
 
     this.rotations = 1;
     this.index = null;
+
+    // Shows the state of the placement with the `?ea-debug` query param
+    this.debug = new URLSearchParams(window.location.search).has(DEBUG_PARAM);
+    this.debug_overlay = null;
+    this.last_event = null;
   }
 
   /* Create a placement from an element
@@ -509,55 +407,118 @@ export class Placement {
    * @returns {Placement}
    */
   static from_element(element) {
+    let classes = (element.className || "").split(" ");
+    if (classes.indexOf("loaded") >= 0) {
+      logger.warn({ code: "already-loaded" }, "EthicalAd already loaded.");
+      return null;
+    }
+
     // Get attributes from DOM node
-    const publisher = element.getAttribute(ATTR_PREFIX + "publisher");
-    let ad_type = element.getAttribute(ATTR_PREFIX + "type");
-    if (!ad_type) {
-      ad_type = "image";
-      element.setAttribute(ATTR_PREFIX + "type", "image");
-    }
-
-    const keywords = (element.getAttribute(ATTR_PREFIX + "keywords") || "")
-      .split("|")
-      .filter((word) => word.length > 1);
-    const campaign_types = (
-      element.getAttribute(ATTR_PREFIX + "campaign-types") || ""
-    )
-      .split("|")
-      .filter((word) => word.length > 1);
+    const options = attribute_options(element, ATTR_PREFIX);
 
-    const load_manually =
-      element.getAttribute(ATTR_PREFIX + "manual") === "true";
-    const style = element.getAttribute(ATTR_PREFIX + "style");
-    const force_ad = element.getAttribute(ATTR_PREFIX + "force-ad");
-    const force_campaign = element.getAttribute(ATTR_PREFIX + "force-campaign");
+    try {
+      return Placement.create(element, options);
+    } catch (err) {
+      if (err instanceof EthicalAdsError) {
+        logger.error({ code: "invalid-config" }, err.message);
+        return null;
+      }
+      throw err;
+    }
+  }
 
-    // Add version to ad type to verison the HTML return
-    if (ad_type === "image" || ad_type === "text") {
-      ad_type += "-v" + AD_TYPES_VERSION;
+  /* Create a placement from an options object
+   *
+   * This is shared by `from_element` and `createPlacement` so placements
+   * behave the same whether they are configured by attributes or by the API.
+   *
+   * @static
+   * @param {Element} element - Load placement and append to this Element
+   * @param {Object} options - Placement options, see `createPlacement`
+   * @throws {EthicalAdsError} If the options are invalid
+   * @returns {Placement}
+   */
+  static create(element, options) {
+    if (!(element instanceof Element)) {
+      throw new EthicalAdsError("EthicalAd placement must be an Element.");
+    }
+    if (!options.publisher || typeof options.publisher !== "string") {
+      throw new EthicalAdsError("EthicalAd placement requires a publisher.");
     }
 
-    let classes = (element.className || "").split(" ");
-    if (classes.indexOf("loaded") >= 0) {
-      logger.warn("EthicalAd already loaded.");
-      return null;
+    let ad_type = options.type || "image";
+    if (typeof ad_type !== "string") {
+      throw new EthicalAdsError("EthicalAd type must be a string.");
     }
 
-    // Note: this attribute value *must* contain a unit (eg. '200px')
-    const placementBottom = element.getAttribute(
-      ATTR_PREFIX + "placement-bottom"
-    );
-    if (placementBottom) {
-      element.style.setProperty("bottom", placementBottom);
+    const keywords = parse_list(options.keywords, "keywords");
+    const campaign_types = parse_list(options.campaignTypes, "campaignTypes");
+    campaign_types.forEach((campaign_type) => {
+      if (CAMPAIGN_TYPES.indexOf(campaign_type) < 0) {
+        throw new EthicalAdsError("Unknown campaign type: " + campaign_type);
+      }
+    });
+    if (
+      options.fallback &&
+      ["string", "function", "object"].indexOf(typeof options.fallback) < 0
+    ) {
+      throw new EthicalAdsError(
+        "EthicalAd fallback must be a URL or function."
+      );
+    }
+    if (options.render && RENDER_MODES.indexOf(options.render) < 0) {
+      throw new EthicalAdsError("Unknown render mode: " + options.render);
+    }
+    if (options.keywordSource && typeof options.keywordSource !== "string") {
+      throw new EthicalAdsError("EthicalAd keywordSource must be a selector.");
+    }
+    if (
+      options.keywordScope &&
+      ["page", "section"].indexOf(options.keywordScope) < 0
+    ) {
+      throw new EthicalAdsError(
+        "Unknown keyword scope: " + options.keywordScope
+      );
+    }
+
+    // The type and style attributes are used by the CSS styles
+    element.setAttribute(ATTR_PREFIX + "type", ad_type);
+    if (options.style) {
+      element.setAttribute(ATTR_PREFIX + "style", options.style);
+    }
+    if (options.placementBottom) {
+      element.style.setProperty("bottom", options.placementBottom);
+    }
+
+    // Add version to ad type to verison the HTML return
+    if (ad_type === "image" || ad_type === "text") {
+      ad_type += "-v" + AD_TYPES_VERSION;
     }
 
-    return new Placement(publisher, ad_type, element, {
+    return new Placement(options.publisher, ad_type, element, {
       keywords: keywords,
-      style: style,
+      style: options.style,
       campaign_types: campaign_types,
-      load_manually,
-      force_ad,
-      force_campaign,
+      load_manually: options.manual,
+      force_ad: options.forceAd,
+      force_campaign: options.forceCampaign,
+      transport: options.transport,
+      batch: options.batch,
+      server: options.server,
+      lazy: options.lazy,
+      frequency_cap: options.frequencyCap,
+      fallback: options.fallback,
+      render: options.render,
+      keyword_source: options.keywordSource,
+      keyword_scope: options.keywordScope,
+      rotation: options.rotation && {
+        min_view_time: options.rotation.minViewTime,
+        max_rotations: options.rotation.maxRotations,
+        hashchange: options.rotation.hashchange,
+        visibilitychange: options.rotation.visibilitychange,
+        visibilitychange_delay: options.rotation.visibilitychangeDelay,
+        interval: options.rotation.interval,
+      },
     });
   }
 
@@ -568,21 +529,85 @@ export class Placement {
    * API transaction, displaying the ad element,
    * and handling the viewport detection.
    *
+   * @param {Promise<Element>} decision - An ad decision already requested for
+   *  this placement (eg. as part of a batch). Otherwise, the decision is fetched.
    * @returns {Promise}
    */
-  load() {
-    // Detect the keywords
-    this.keywords = this.keywords.concat(this.detectKeywords());
+  load(decision) {
+    // Stop tracking the previous ad, if any, before loading a new one
+    this.clearListeners();
+    this.sendViewTime();
+
+    this.view_time = 0;
+    this.view_time_sent = 0;
+    this.continuous_view_time = 0;
+    this.viewed = false;
+    this.response = null;
+    this.tab_hidden = false;
+
+    // Aborted if the placement is destroyed before the ad is loaded
+    const controller = abort_controller();
+    this.controller = controller;
+
+    // Detect the keywords (again if the content changed since the last load)
+    this.detectKeywords();
+    this.error = null;
+    this.outcome = null;
+
+    // `detectBlocking()` waits for the placements requesting an ad
+    let loading = null;
+    const track_loading = () => {
+      const done = () => pending_loads.delete(loading);
+      pending_loads.add(loading);
+      loading.then(done, done);
+    };
+
+    const lazy = !decision && this.lazy;
+    if (lazy) {
+      // Wait until the placement is near the viewport to request an ad
+      decision = this.nearViewport(controller.signal).then(() => {
+        if (controller.signal.aborted) return undefined;
 
-    return this.fetch()
+        track_loading();
+        return this.fetch();
+      });
+    }
+
+    loading = (decision || this.fetch())
       .then((element) => {
+        if (controller.signal.aborted) {
+          throw new EthicalAdsWarning("Placement destroyed before loading.");
+        }
+        if (
+          element === undefined &&
+          this.error &&
+          !(this.error instanceof DecisionBlockedError)
+        ) {
+          // The request failed for another reason than an ad blocker
+          this.outcome = decision_outcome(this.error);
+          this.dispatch("error", { error: this.error });
+          return this.showFallback("error", controller.signal).then(() => {
+            throw new EthicalAdsWarning(
+              "Ad decision request failed: " + this.error.message
+            );
+          });
+        }
         if (element === undefined) {
-          throw new EthicalAdsWarning(
-            "Ad decision request blocked or invalid."
-          );
+          decision_blocked = true;
+          this.outcome = "blocked";
+          this.dispatch("blocked");
+          return this.showFallback("blocked", controller.signal).then(() => {
+            throw new EthicalAdsWarning(
+              "Ad decision request blocked or invalid."
+            );
+          });
         }
         if (!element) {
-          throw new EthicalAdsWarning("No ads to show.");
+          this.outcome = "nofill";
+          this.dispatch("nofill");
+          return this.showFallback("nofill", controller.signal).then(() => {
+            throw new EthicalAdsWarning("No ads to show.");
+          });
         }
 
         // Add `loaded` class, signifying that the CSS styles should finally be
@@ -590,16 +615,26 @@ export class Placement {
         let classes = this.target.className || "";
         classes += " loaded";
         this.target.className = classes.trim();
+        this.target.classList.remove("ea-fallback");
 
         // Make this element the only child element of the target element
-        while (this.target.firstChild) {
-          this.target.removeChild(this.target.firstChild);
-        }
+        this.clearTarget();
 
         // Apply any styles based on the specified styling
         this.applyStyles(element);
 
-        this.target.appendChild(element);
+        if (this.render === "shadow") {
+          this.renderShadow(element);
+        } else {
+          this.target.appendChild(element);
+        }
+
+        if (this.frequency_cap && this.response.id) {
+          remember_shown_ad(this.response.id);
+        }
+
+        this.outcome = "loaded";
+        this.dispatch("loaded", { response: this.response });
 
         return this;
       })
@@ -608,51 +643,31 @@ export class Placement {
         // Add the view pixel to the DOM to count the view
         // Also count the time the ad is in view
         //  this will be sent before the page/tab is closed or navigated away
+        placement.trackViewability();
 
-        let viewport_detection = setInterval(
-          (element) => {
-            if (placement.inViewport(element)) {
-              // This ad was seen!
-              let pixel = document.createElement("img");
-              pixel.src = placement.response.view_url;
-              if (uplifted) {
-                pixel.src += "?uplift=true";
-              }
-              pixel.className = "ea-pixel";
-              element.appendChild(pixel);
-
-              clearInterval(viewport_detection);
-            }
-          },
-          100,
-          placement.target
-        );
-
-        placement.view_time_counter = setInterval(
-          (element) => {
-            if (
-              placement.tab_hidden === false &&
-              placement.inViewport(element)
-            ) {
-              // Increment the ad's time in view counter
-              placement.view_time += VIEW_TIME_INTERVAL;
-
-              if (placement.view_time >= VIEW_TIME_MAX) {
-                clearInterval(placement.view_time_counter);
-              }
-            }
-          },
-          VIEW_TIME_INTERVAL * 1000,
-          placement.target
+        // Send the view time when the page is hidden or unloaded
+        // The page may not be shown again, even if it's only hidden
+        placement.pagehide_listener = (event) => {
+          if (
+            event.type === "pagehide" ||
+            document.visibilityState === "hidden"
+          ) {
+            placement.sendViewTime();
+          }
+        };
+        window.addEventListener("pagehide", placement.pagehide_listener);
+        document.addEventListener(
+          "visibilitychange",
+          placement.pagehide_listener
         );
 
         placement.hashchange_listener = () => {
           if (placement.canRotate()) {
             placement.sendViewTime();
-            placement.rotate();
+            placement.rotate().catch(report_error);
           }
         };
-        if (HASHCHANGE_ROTATION_ENABLE) {
+        if (placement.rotation.hashchange) {
           window.addEventListener("hashchange", placement.hashchange_listener);
         }
 
@@ -683,13 +698,16 @@ export class Placement {
 
             if (placement.canRotate()) {
               placement.sendViewTime(); // Should already be sent, but just in case
-              setTimeout(function () {
-                placement.rotate();
-              }, VISIBILITYCHANGE_ROTATION_DELAY * 1000);
+              clearTimeout(placement.rotation_timeout);
+              placement.rotation_timeout = setTimeout(function () {
+                placement.rotation_timeout = null;
+                // The conditions may no longer be met after the delay
+                Promise.resolve(placement.rotate()).catch(report_error);
+              }, placement.rotation.visibilitychange_delay * 1000);
             }
           }
         };
-        if (VISIBILITYCHANGE_ROTATION_ENABLE) {
+        if (placement.rotation.visibilitychange) {
           document.addEventListener(
             "visibilitychange",
             placement.visibilitychange_listener
@@ -698,19 +716,64 @@ export class Placement {
 
         return this;
       });
+
+    if (!lazy) {
+      track_loading();
+    }
+    return loading;
   }
 
-  /* Clears all the placement's event listeners */
+  /* Clears all the placement's timers, event listeners and pending requests */
   clearListeners() {
+    if (this.controller) {
+      this.controller.abort();
+    }
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    if (this.viewability_listener) {
+      document.removeEventListener(
+        "visibilitychange",
+        this.viewability_listener
+      );
+      this.viewability_listener = null;
+    }
+
+    if (this.view_timeout) {
+      clearTimeout(this.view_timeout);
+      this.view_timeout = null;
+    }
+    this.viewable = false;
+
+    if (this.viewport_detection) {
+      clearInterval(this.viewport_detection);
+      this.viewport_detection = null;
+    }
+
     if (this.view_time_counter) {
       clearInterval(this.view_time_counter);
+      this.view_time_counter = null;
+    }
+
+    if (this.rotation_timeout) {
+      clearTimeout(this.rotation_timeout);
+      this.rotation_timeout = null;
     }
 
-    if (this.hashchange_listener && HASHCHANGE_ROTATION_ENABLE) {
+    if (this.hashchange_listener) {
       window.removeEventListener("hashchange", this.hashchange_listener);
     }
 
-    if (this.visibilitychange_listener && VISIBILITYCHANGE_ROTATION_ENABLE) {
+    if (this.pagehide_listener) {
+      window.removeEventListener("pagehide", this.pagehide_listener);
+      document.removeEventListener("visibilitychange", this.pagehide_listener);
+      this.pagehide_listener = null;
+    }
+
+    if (this.visibilitychange_listener) {
       document.removeEventListener(
         "visibilitychange",
         this.visibilitychange_listener
@@ -725,8 +788,8 @@ export class Placement {
   canRotate() {
     if (
       !this.inViewport(this.target) ||
-      this.view_time < MIN_VIEW_TIME_ROTATION_DURATION ||
-      this.rotations >= MAX_ROTATIONS
+      this.view_time < this.rotation.min_view_time ||
+      this.rotations >= this.rotation.max_rotations
     ) {
       return false;
     }
@@ -742,251 +805,1789 @@ export class Placement {
     if (!this.canRotate()) {
       return;
     }
-    this.clearListeners();
-
-    this.view_time = 0;
-    this.view_time_sent = false;
-    this.response = null;
-    this.tab_hidden = false;
 
     this.rotations += 1;
 
-    return this.load();
+    return this.refresh().then((placement) => {
+      this.dispatch("rotated", { rotations: this.rotations });
+      return placement;
+    });
   }
 
-  /* Returns whether the ad is visible in the viewport
+  /* Reloads the placement with a new ad regardless of the rotation conditions
    *
-   * @param {Element} element - The ad element
-   * @returns {boolean} True if the ad is loaded and visible in the viewport
-   *  (including the tab being focused and not minimized) and returns false otherwise.
+   * @returns {Promise}
    */
-  inViewport(element) {
-    if (
-      this.response &&
-      this.response.view_url &&
-      verge.inViewport(element, VIEWPORT_FUDGE_FACTOR) &&
-      document.visibilityState === "visible"
-    ) {
-      return true;
-    }
-
-    return false;
+  refresh() {
+    return this.load();
   }
 
-  /* Get placement data from decision API
+  /* Removes the ad from the placement and stops tracking it
    *
-   * @returns {Promise<Element>} Resolves with an Element converted from an HTML
-   * string from API response. Can also be null, indicating a noop action.
+   * Any view time is sent first. This removes the ad, including the view
+   * pixels, and stops all timers, listeners and pending requests.
+   * The placement can be loaded again afterwards.
    */
-  fetch() {
-    // Make sure callbacks don't collide even with multiple placements
-    const callback =
-      "ad_" + Date.now() + "_" + Math.floor(Math.random() * 1000000);
-    var div_id = callback;
-    if (this.target.id) {
-      div_id = this.target.id;
-    }
+  destroy() {
+    this.clearListeners();
+    this.sendViewTime();
 
-    // There's no hard maximum on URL lengths (all of these get added to the query params)
-    // but ideally we want to keep our URLs below ~2k which should work basically everywhere
-    let params = {
-      publisher: this.publisher,
-      ad_types: this.ad_type,
-      div_ids: div_id,
-      callback: callback,
-      keywords: this.keywords.join("|"),
-      campaign_types: this.campaign_types.join("|"),
-      format: "jsonp",
-      client_version: AD_CLIENT_VERSION,
-      placement_index: this.index,
-      // location.href includes query params (possibly sensitive) and fragments (unnecessary)
-      url: (window.location.origin + window.location.pathname).slice(0, 256),
-    };
-    if (this.force_ad) {
-      params["force_ad"] = this.force_ad;
-    }
-    if (this.force_campaign) {
-      params["force_campaign"] = this.force_campaign;
-    }
-    if (this.rotations > 1) {
-      params["rotations"] = this.rotations;
+    this.clearTarget();
+    this.target.classList.remove("loaded", "ea-fallback");
+    if (this.debug_overlay) {
+      this.debug_overlay.remove();
     }
-    const url_params = new URLSearchParams(params);
-    const url = new URL(AD_DECISION_URL + "?" + url_params.toString());
 
-    return new Promise((resolve, reject) => {
-      window[callback] = (response) => {
-        if (response && response.html && response.view_url) {
-          this.response = response;
-          const node_convert = document.createElement("div");
-          node_convert.innerHTML = response.html;
-          return resolve(node_convert.firstChild);
-        } else {
-          // No ad to show for this targeting/publisher
-          return resolve(null);
-        }
-      };
-
-      var script = document.createElement("script");
-      script.src = url;
-      script.type = "text/javascript";
-      script.async = true;
-      script.addEventListener("error", (err) => {
-        // There was a problem loading this request, likely this was blocked by
-        // an ad blocker. We'll resolve with an empty response instead of
-        // throwing an error.
-        return resolve();
-      });
-      document.getElementsByTagName("head")[0].appendChild(script);
-    });
+    placement_registry.delete(this);
   }
 
-  /* Sends the view time of the ad to the server
+  /* Shows the publisher's fallback content when there is no ad to show
+   *
+   * The fallback is the `fallback` option or a `<template data-ea-fallback>`
+   * child of the target. The option can be different for each reason
+   * (eg. `{ nofill: ..., blocked: ... }`) and a template can be limited to
+   * one reason (eg. `<template data-ea-fallback="blocked">`).
+   *
+   * A previously loaded ad (eg. before a rotation) is kept instead.
+   *
+   * @param {string} reason - Why there is no ad: "nofill", "blocked" or
+   *  "error" (the request failed, see `error`)
+   * @param {AbortSignal} signal - Don't show the fallback once aborted
+   * @returns {Promise} Resolves once the fallback is shown, if there is one
    */
-  sendViewTime() {
+  showFallback(reason, signal) {
+    if (this.target.classList.contains("loaded")) return Promise.resolve();
+
+    let fallback = this.fallback;
     if (
-      this.view_time <= 0 ||
-      this.view_time_sent ||
-      !this.response ||
-      !this.response.view_time_url
-    )
-      return;
+      fallback &&
+      !(fallback instanceof Node) &&
+      typeof fallback === "object"
+    ) {
+      fallback = fallback[reason];
+    }
+    if (!fallback) {
+      const templates = Array.from(this.target.children).filter((child) =>
+        child.matches("template[" + ATTR_PREFIX + "fallback]")
+      );
+      fallback =
+        templates.find(
+          (template) =>
+            template.getAttribute(ATTR_PREFIX + "fallback") === reason
+        ) ||
+        templates.find(
+          (template) => !template.getAttribute(ATTR_PREFIX + "fallback")
+        );
+    }
+    if (!fallback) return Promise.resolve();
+
+    return Promise.resolve()
+      .then(() => {
+        if (typeof fallback === "function") return fallback(reason, this);
+        if (typeof fallback === "string") return fetch_fallback(fallback);
+        // A template or other element to copy
+        return (fallback.content || fallback).cloneNode(true);
+      })
+      .then((content) => {
+        if (!content || (signal && signal.aborted)) return;
+
+        // Functions and URLs return HTML
+        if (typeof content === "string") {
+          const template = document.createElement("template");
+          template.innerHTML = content;
+          content = template.content;
+        }
 
-    let pixel = document.createElement("img");
-    pixel.src = this.response.view_time_url + "?view_time=" + this.view_time;
-    pixel.className = "ea-pixel";
-    this.target.appendChild(pixel);
+        this.clearTarget();
+        this.target.appendChild(content);
+        this.target.classList.add("ea-fallback");
 
-    this.view_time_sent = true;
+        this.dispatch("fallback", { reason: reason });
+      })
+      .catch((err) => {
+        logger.error(
+          { code: "fallback-failed", placement: this },
+          "EthicalAd fallback failed: %s",
+          err.message
+        );
+      });
   }
 
-  /* Detect whether this ad is "uplifted" meaning allowed by ABP's Acceptable Ads list
-   *
-   * Calls the provided callback passing a boolean whether this ad is uplifted.
-   * We need this data to provide back to the AcceptableAds folks.
+  /* Renders the ad in a shadow root attached to the target
    *
-   * This code comes directly from Eyeo/AdblockPlus team to measure Acceptable Ads.
+   * The ad is isolated from the page's styles and the ad styles don't affect
+   * the page. The target's attributes and classes are copied to a wrapper in
+   * the shadow root so the ad styles apply the same way as in the page.
    *
-   * @static
-   * @param {string} px - A URL of a pixel to test
-   * @param {function) callback - A callback to call when finished
+   * @param {Element} element - The ad element
    */
-  detectABP(px, callback) {
-    var detected = false;
-    var checksRemain = 2;
-    var error1 = false;
-    var error2 = false;
-    if (typeof callback != "function") return;
-    px += "?ch=*&rn=*";
-
-    function beforeCheck(callback, timeout) {
-      if (checksRemain == 0 || timeout > 1e3)
-        callback(checksRemain == 0 && detected);
-      else
-        setTimeout(function () {
-          beforeCheck(callback, timeout * 2);
-        }, timeout * 2);
-    }
-
-    function checkImages() {
-      if (--checksRemain) return;
-      detected = !error1 && error2;
-    }
-    var random = Math.random() * 11;
-    var img1 = new Image();
-    img1.onload = checkImages;
-    img1.onerror = function () {
-      error1 = true;
-      checkImages();
-    };
-    img1.src = px.replace(/\*/, 1).replace(/\*/, random);
-    var img2 = new Image();
-    img2.onload = checkImages;
-    img2.onerror = function () {
-      error2 = true;
-      checkImages();
-    };
-    img2.src = px.replace(/\*/, 2).replace(/\*/, random);
-    beforeCheck(callback, 250);
+  renderShadow(element) {
+    const root =
+      this.target.shadowRoot || this.target.attachShadow({ mode: "open" });
+
+    if (root.adoptedStyleSheets && window.CSSStyleSheet) {
+      if (!shadow_stylesheet) {
+        shadow_stylesheet = new CSSStyleSheet();
+        shadow_stylesheet.replaceSync(shadow_styles);
+      }
+      root.adoptedStyleSheets = [shadow_stylesheet];
+      root.innerHTML = "";
+    } else {
+      root.innerHTML = "<style></style>";
+      root.firstChild.textContent = shadow_styles;
+    }
+
+    let wrapper = document.createElement("div");
+    wrapper.setAttribute(ATTR_PREFIX + "publisher", this.publisher);
+    ["type", "style"].forEach((name) => {
+      if (this.target.hasAttribute(ATTR_PREFIX + name)) {
+        wrapper.setAttribute(
+          ATTR_PREFIX + name,
+          this.target.getAttribute(ATTR_PREFIX + name)
+        );
+      }
+    });
+    wrapper.className = this.target.className;
+    wrapper.classList.add("ea-shadow");
+    wrapper.appendChild(element);
+    root.appendChild(wrapper);
   }
 
-  /* Returns an array of keywords (strings) found on the page
+  /* Removes the ad or fallback content from the target
    *
-   * @returns {Array[string]} Advertising keywords found on the page
+   * Fallback templates are kept so they can be used again.
    */
-  detectKeywords() {
-    // Return previously detected keywords
-    // If this code has already run.
-    // Note: if there are "no" keywords (an empty list) this is still true
-    if (detectedKeywords) return detectedKeywords;
-
-    var keywordHist = {}; // Keywords found => count of keyword
-    const mainContent =
-      document.querySelector("[role='main']") ||
-      document.querySelector("main") ||
-      document.querySelector("body");
-
-    const words = mainContent.textContent.split(/\s+/);
-    const wordTrimmer = /^[\('"]?(.*?)[,\.\?\!:;\)'"]?$/g;
-    for (let x = 0; x < words.length && x < MAX_WORDS_ANALYZED; x++) {
-      // Remove certain punctuation from beginning and end of the word
-      let word = words[x].replace(wordTrimmer, "$1").toLowerCase();
-      if (KEYWORDS.has(word)) {
-        keywordHist[word] = (keywordHist[word] || 0) + 1;
-      }
+  clearTarget() {
+    // Show the target's own content (eg. fallback content) again
+    if (this.target.shadowRoot) {
+      this.target.shadowRoot.innerHTML = "<slot></slot>";
     }
 
-    // Sort the hist with the most common items first
-    // Grab only the MAX_KEYWORDS most common
-    const keywords = Object.entries(keywordHist)
-      .filter(
-        // Only consider a keyword with at least this many occurrences
-        (a) => a[1] >= MIN_KEYWORD_OCCURRENCES
-      )
-      .sort((a, b) => {
-        if (a[1] > b[1]) return -1;
-        if (a[1] < b[1]) return 1;
-        return 0;
-      })
-      .slice(0, MAX_KEYWORDS)
-      .map((x) => x[0]);
-
-    detectedKeywords = keywords;
-
-    return keywords;
+    clear_children(this.target);
   }
 
-  /* Apply custom styles based on data-ea-style
+  /* Returns whether the ad is visible in the viewport
    *
+   * With an IntersectionObserver, the ad is only visible if at least
+   * `view_threshold` of its pixels are in the viewport.
+   *
+   * @param {Element} element - The ad element
+   * @returns {boolean} True if the ad is loaded and visible in the viewport
+   *  (including the tab being focused and not minimized) and returns false otherwise.
    */
-  applyStyles(element) {
-    // Stickybox: https://ethical-ad-client.readthedocs.io/en/latest/#stickybox
+  inViewport(element) {
+    if (
+      !this.response ||
+      !this.response.view_url ||
+      document.visibilityState !== "visible"
+    ) {
+      return false;
+    }
+
+    if (this.observer) {
+      return this.in_view;
+    }
+
+    return verge.inViewport(element, VIEWPORT_FUDGE_FACTOR);
+  }
+
+  /* Waits until the placement is close to the viewport
+   *
+   * Browsers without IntersectionObserver don't wait.
+   *
+   * @param {AbortSignal} signal - Stops waiting if the placement is destroyed
+   * @returns {Promise} Resolves when the placement is within `lazy_margin` of
+   *  the viewport or when waiting is aborted
+   */
+  nearViewport(signal) {
+    if (!window.IntersectionObserver) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const observer = new IntersectionObserver(
+        (entries) => {
+          if (entries.some((entry) => entry.isIntersecting)) {
+            observer.disconnect();
+            resolve();
+          }
+        },
+        { rootMargin: config.lazy_margin }
+      );
+      observer.observe(this.target);
+
+      signal.addEventListener("abort", () => {
+        observer.disconnect();
+        resolve();
+      });
+    });
+  }
+
+  /* Starts tracking whether the ad is viewable
+   *
+   * This uses an IntersectionObserver and only polls the ad's position in
+   * browsers that don't support it.
+   */
+  trackViewability() {
+    if (!window.IntersectionObserver) {
+      this.viewport_detection = setInterval(() => {
+        this.updateViewability();
+      }, VIEWABILITY_POLL_INTERVAL);
+      return;
+    }
+
+    this.observer = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          this.in_view =
+            entry.isIntersecting &&
+            entry.intersectionRatio >= config.view_threshold;
+        });
+        this.updateViewability();
+      },
+      { threshold: [0, config.view_threshold] }
+    );
+    this.observer.observe(this.target);
+
+    this.viewability_listener = () => {
+      this.updateViewability();
+    };
+    document.addEventListener("visibilitychange", this.viewability_listener);
+  }
+
+  /* Starts or stops the view timers when the ad becomes viewable or not
+   *
+   * The view is counted after the ad is viewable continuously for
+   * `view_duration` seconds. The view time is counted while it's viewable.
+   */
+  updateViewability() {
+    const viewable = this.inViewport(this.target);
+    if (viewable === this.viewable) {
+      return;
+    }
+    this.viewable = viewable;
+
+    if (!viewable) {
+      clearTimeout(this.view_timeout);
+      clearInterval(this.view_time_counter);
+      this.view_timeout = null;
+      this.view_time_counter = null;
+      this.continuous_view_time = 0;
+      return;
+    }
+
+    if (!this.viewed) {
+      this.view_timeout = setTimeout(() => {
+        this.countView();
+      }, config.view_duration * 1000);
+    }
+
+    this.view_time_counter = setInterval(() => {
+      // Increment the ad's time in view counter
+      this.view_time += VIEW_TIME_INTERVAL;
+      this.continuous_view_time += VIEW_TIME_INTERVAL;
+      this.renderDebug();
+
+      // Send long view times in parts rather than stopping at the maximum
+      if (this.view_time - this.view_time_sent >= VIEW_TIME_MAX) {
+        this.sendViewTime();
+      }
+
+      // Rotate ads on long lived pages that stay in view
+      if (
+        this.rotation.interval &&
+        this.continuous_view_time >= this.rotation.interval &&
+        this.canRotate()
+      ) {
+        this.sendViewTime();
+        this.rotate().catch(report_error);
+      }
+    }, VIEW_TIME_INTERVAL * 1000);
+  }
+
+  /* Adds the view pixel to the DOM to count the view */
+  countView() {
+    // This ad was seen!
+    const view_url = this.response.view_url;
+    this.viewed = true;
+
+    // Wait for any Acceptable Ads detection so the view is attributed correctly
+    Promise.resolve(blocking_detection).then(() => {
+      let pixel = document.createElement("img");
+      pixel.src = view_url;
+      if (uplifted) {
+        pixel.src += "?uplift=true";
+      }
+      pixel.className = "ea-pixel";
+      this.target.appendChild(pixel);
+
+      this.dispatch("viewed");
+    });
+  }
+
+  /* Get the decision API query params for this placement
+   *
+   * @returns {Object} Query params for the decision API
+   */
+  getParams() {
+    // There's no hard maximum on URL lengths (all of these get added to the query params)
+    // but ideally we want to keep our URLs below ~2k which should work basically everywhere
+    let params = {
+      publisher: this.publisher,
+      ad_types: this.ad_type,
+      div_ids: this.div_id,
+      keywords: normalize_keywords(
+        this.keywords.concat(this.detected_keywords || this.detectKeywords())
+      ).join("|"),
+      campaign_types: this.campaign_types.join("|"),
+      client_version: AD_CLIENT_VERSION,
+      keywords_version: KEYWORDS_VERSION,
+      // location.href includes query params (possibly sensitive) and fragments (unnecessary)
+      url: (window.location.origin + window.location.pathname).slice(0, 256),
+    };
+    if (this.force_ad) {
+      params["force_ad"] = this.force_ad;
+    }
+    if (this.force_campaign) {
+      params["force_campaign"] = this.force_campaign;
+    }
+    if (this.index !== null) {
+      // Only placements loaded from the page have an index
+      params["placement_index"] = this.index;
+    }
+    if (this.rotations > 1) {
+      params["rotations"] = this.rotations;
+    }
+    if (this.frequency_cap) {
+      const shown = shown_ads();
+      if (shown.length) params["exclude_ads"] = shown.join("|");
+    }
+
+    // The page and its content are contextual signals the user opted out of
+    if (privacy_opt_out()) {
+      delete params["url"];
+      delete params["keywords"];
+      params["privacy_opt_out"] = true;
+    }
+
+    return params;
+  }
+
+  /* Get placement data from decision API
+   *
+   * @returns {Promise<Element>} Resolves with an Element converted from an HTML
+   * string from API response. Can also be null, indicating a noop action.
+   */
+  fetch() {
+    return request_decision(
+      this.decision_url,
+      this.transport,
+      this.getParams(),
+      this.controller && this.controller.signal
+    ).then(
+      (response) => this.handleResponse(response),
+      (err) => this.handleError(err)
+    );
+  }
+
+  /* Keeps the reason the ad decision request failed in `error`
+   *
+   * There was a problem loading this request, likely this was blocked by an
+   * ad blocker. We'll resolve with an empty response instead of throwing an
+   * error. `load()` uses the error to tell blocked and failed requests apart.
+   *
+   * @param {Error} err - Usually a `DecisionError`
+   * @returns {undefined}
+   */
+  handleError(err) {
+    this.error = err;
+    logger.debug(
+      { code: "request-failed", placement: this },
+      "Ad decision request failed:",
+      err.message
+    );
+    return undefined;
+  }
+
+  /* Store a decision API response and convert it to an Element
+   *
+   * @param {Object} response - Decoded decision API response for this placement
+   * @returns {Element} The ad element or null if there is no ad to show.
+   *  Undefined if the response is invalid, with the error in `this.error`.
+   */
+  handleResponse(response) {
+    if (response && response.html && response.view_url) {
+      // Pixels must be on the ad server or views could be sent anywhere.
+      // This is a server or config error rather than no ad to show.
+      if (
+        !this.isServerUrl(response.view_url) ||
+        (response.view_time_url && !this.isServerUrl(response.view_time_url))
+      ) {
+        logger.error(
+          { code: "invalid-response", placement: this },
+          "Ad response pixels are not on the ad server %s.",
+          this.server_origin
+        );
+        this.error = new DecisionServerError(
+          "Ad response pixels are not on the ad server " + this.server_origin
+        );
+        return undefined;
+      }
+
+      this.response = response;
+      const node_convert = document.createElement("div");
+      node_convert.innerHTML = response.html;
+      return node_convert.firstChild;
+    }
+
+    // No ad to show for this targeting/publisher
+    return null;
+  }
+
+  /* Returns whether a URL is on this placement's ad server
+   *
+   * @param {string} url - An absolute URL
+   * @returns {boolean} True if the URL has the same origin as the ad server
+   */
+  isServerUrl(url) {
+    try {
+      return new URL(url).origin === this.server_origin;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /* Sends the view time of the ad to the server
+   *
+   * Only the view time since it was last sent is sent, so this can be called
+   * whenever the page may be closed. `view_time_offset` is the view time sent
+   * before, which also tells the server that `view_time` isn't the total.
+   * The request is sent with `send_keepalive` so it isn't cancelled when the
+   * page is unloaded.
+   */
+  sendViewTime() {
+    const view_time = this.view_time - this.view_time_sent;
+    if (view_time <= 0 || !this.response || !this.response.view_time_url)
+      return;
+
+    const url =
+      this.response.view_time_url +
+      "?view_time=" +
+      view_time +
+      "&view_time_offset=" +
+      this.view_time_sent;
+    if (!send_keepalive(url)) {
+      let pixel = document.createElement("img");
+      pixel.src = url;
+      pixel.className = "ea-pixel";
+      this.target.appendChild(pixel);
+    }
+
+    this.dispatch("viewtime-sent", {
+      view_time: view_time,
+      view_time_offset: this.view_time_sent,
+    });
+    this.view_time_sent = this.view_time;
+  }
+
+  /* Detect whether this ad is "uplifted" meaning allowed by ABP's Acceptable Ads list
+   *
+   * Calls the provided callback passing a boolean whether this ad is uplifted.
+   * See `detect_abp`.
+   *
+   * @param {string} px - A URL of a pixel to test
+   * @param {function) callback - A callback to call when finished
+   */
+  detectABP(px, callback) {
+    detect_abp(px, callback);
+  }
+
+  /* Returns an array of keywords (strings) found on the page
+   *
+   * Keywords are found with the registered keyword extractor
+   * (`extract_keywords` unless a publisher registered their own)
+   * in the elements matching the `keyword_source` selector,
+   * the section around the placement (with the "section" `keyword_scope`)
+   * or the main content of the page.
+   *
+   * The keywords are detected again if the content has changed
+   * since they were last detected (eg. before a rotation).
+   *
+   * @returns {Array[string]} Advertising keywords found on the page
+   */
+  detectKeywords() {
+    const elements = this.keywordElements();
+
+    // Only run the extractor if this content hasn't been seen before
+    const fingerprint = hash_string(
+      document.title + " " + keyword_text(elements, MAX_WORDS_ANALYZED)
+    );
+    if (!keyword_cache.has(fingerprint)) {
+      let keywords = [];
+      try {
+        keywords = keyword_extractor(elements, {
+          keywords: KEYWORDS,
+          max_keywords: config.max_keywords,
+          min_occurrences: config.min_keyword_occurrences,
+        });
+      } catch (err) {
+        logger.error(
+          { code: "keyword-extractor-failed", placement: this },
+          "Keyword extractor failed: %s",
+          err.message
+        );
+      }
+      if (!Array.isArray(keywords)) {
+        logger.error(
+          { code: "keyword-extractor-failed", placement: this },
+          "Keyword extractor must return an array of keywords."
+        );
+        keywords = [];
+      }
+
+      if (keyword_cache.size >= KEYWORD_CACHE_SIZE) keyword_cache.clear();
+      keyword_cache.set(
+        fingerprint,
+        normalize_keywords(
+          keywords.filter((keyword) => typeof keyword === "string")
+        )
+      );
+    }
+
+    this.detected_keywords = keyword_cache.get(fingerprint);
+    if (!this.keyword_source && this.keyword_scope === "page") {
+      detectedKeywords = this.detected_keywords;
+    }
+    return this.detected_keywords;
+  }
+
+  /* Returns the elements to search for keywords
+   *
+   * @returns {Array[Element]} Elements with the content of the placement's page
+   */
+  keywordElements() {
+    if (this.keyword_source) {
+      try {
+        const elements = document.querySelectorAll(this.keyword_source);
+        if (elements.length) return Array.from(elements);
+      } catch (err) {
+        logger.error(
+          { code: "invalid-keyword-source", placement: this },
+          "Invalid keyword source '%s'.",
+          this.keyword_source
+        );
+      }
+    }
+
+    if (this.keyword_scope === "section") {
+      const section = this.target.closest(KEYWORD_SECTION_SELECTOR);
+      if (section) return [section];
+    }
+
+    return [
+      document.querySelector("[role='main']") ||
+        document.querySelector("main") ||
+        document.querySelector("body"),
+    ];
+  }
+
+  /* Apply custom styles based on data-ea-style
+   *
+   */
+  applyStyles(element) {
+    // Stickybox: https://ethical-ad-client.readthedocs.io/en/latest/#stickybox
     if (this.style === "stickybox") {
       let hideButton = document.createElement("div");
       hideButton.setAttribute("class", "ea-stickybox-hide");
       hideButton.innerHTML = "&#215;";
-      hideButton.addEventListener("click", function () {
-        document.querySelector("[data-ea-publisher]").remove();
+      hideButton.addEventListener("click", () => {
+        this.close();
       });
       element.appendChild(hideButton);
     }
 
-    // FixedFooter: https://ethical-ad-client.readthedocs.io/en/latest/#fixedfooter
-    if (this.style === "fixedfooter") {
-      //element.querySelector('.ea-callout a').remove();
+    // FixedFooter: https://ethical-ad-client.readthedocs.io/en/latest/#fixedfooter
+    if (this.style === "fixedfooter") {
+      //element.querySelector('.ea-callout a').remove();
+
+      let container = document.createElement("div");
+      container.setAttribute("class", "ea-fixedfooter-hide");
+      element.appendChild(container);
+
+      let hideButton = document.createElement("span");
+      hideButton.append("Close Ad");
+      hideButton.addEventListener("click", () => {
+        this.close();
+      });
+      container.appendChild(hideButton);
+    }
+  }
+
+  /* Removes the placement from the page when the user closes the ad
+   *
+   * The view time is sent and the placement is destroyed first.
+   */
+  close() {
+    this.dispatch("closed");
+    this.destroy();
+    this.target.remove();
+  }
+
+  /* Shows the state of the placement in an overlay after the target
+   *
+   * This is only shown with the `?ea-debug` query param. It helps publishers
+   * find out why an ad isn't shown without reading the network requests.
+   */
+  renderDebug() {
+    if (!this.debug || !this.target.isConnected) return;
+
+    if (!this.debug_overlay) {
+      this.debug_overlay = document.createElement("pre");
+      this.debug_overlay.className = "ea-debug";
+    }
+    if (!this.debug_overlay.isConnected) {
+      this.target.after(this.debug_overlay);
+    }
+
+    let response = "none";
+    if (this.response) {
+      // The ad itself is shown in the placement
+      response = JSON.stringify(
+        Object.assign({}, this.response, { html: undefined })
+      );
+    } else if (this.outcome) {
+      response =
+        this.outcome + (this.error ? " (" + this.error.message + ")" : "");
+    }
+
+    this.debug_overlay.textContent = [
+      "EthicalAds placement " + this.div_id,
+      "publisher: " + this.publisher,
+      "ad type: " + this.ad_type,
+      "keywords: " +
+        (privacy_opt_out()
+          ? "not sent (privacy opt-out)"
+          : normalize_keywords(
+              this.keywords.concat(this.detected_keywords || [])
+            ).join(", ")),
+      "response: " + response,
+      "view time: " + this.view_time + "s" + (this.viewed ? " (viewed)" : ""),
+      "rotations: " + this.rotations,
+      "last event: " + (this.last_event || "none"),
+    ].join("\n");
+  }
+
+  /* Dispatches a lifecycle event for this placement
+   *
+   * The event is dispatched on the target element as a bubbling `CustomEvent`
+   * named `ea:<name>` and passed to any handlers registered with `on()`.
+   * It's also logged with the event name as its code.
+   *
+   * @param {string} name - Event name such as "loaded" or "nofill"
+   * @param {Object} detail - Additional event details
+   */
+  dispatch(name, detail) {
+    logger.debug({ code: name, placement: this }, "EthicalAd %s", name);
+    this.last_event = name;
+    this.renderDebug();
+
+    const event = new CustomEvent(EVENT_PREFIX + name, {
+      bubbles: true,
+      detail: Object.assign({ placement: this }, detail),
+    });
+    this.target.dispatchEvent(event);
+
+    // A failing handler mustn't stop the ad from loading or being counted
+    (event_handlers[name] || []).forEach((handler) => {
+      try {
+        handler(event);
+      } catch (err) {
+        logger.error(
+          { code: "event-handler-failed", placement: this },
+          "EthicalAd %s event handler failed:",
+          name,
+          err
+        );
+      }
+    });
+  }
+}
+
+// Custom elements only exist in browsers. This keeps the module importable
+// elsewhere (eg. server side rendering) where the element is never defined.
+const ElementBase = typeof HTMLElement !== "undefined" ? HTMLElement : class {};
+
+/* The `<ethical-ad>` custom element
+ *
+ * The element takes the same attributes as a placement `div` without the
+ * `data-ea-` prefix. The ad is loaded when the element is added to the page
+ * and destroyed when it's removed, so this works well with single-page apps
+ * that render their own components. Changing an attribute loads a new ad.
+ *
+ *   <ethical-ad publisher="..." type="image" style="stickybox"></ethical-ad>
+ *
+ * The placement is available as `element.placement`.
+ */
+export class EthicalAdElement extends ElementBase {
+  static get observedAttributes() {
+    return [
+      "publisher",
+      "type",
+      "style",
+      "keywords",
+      "keyword-source",
+      "keyword-scope",
+      "campaign-types",
+      "force-ad",
+      "force-campaign",
+      "transport",
+      "server",
+      "lazy",
+      "frequency-cap",
+      "fallback-url",
+      "render",
+    ];
+  }
+
+  constructor() {
+    super();
+    this.placement = null;
+    this.reload_pending = false;
+  }
+
+  connectedCallback() {
+    if (!this.placement) {
+      this.reload();
+    }
+  }
+
+  disconnectedCallback() {
+    if (this.placement) {
+      this.placement.destroy();
+      this.placement = null;
+    }
+  }
+
+  attributeChangedCallback(name, old_value, new_value) {
+    // The first ad is loaded when the element is added to the page
+    if (!this.placement || old_value === new_value || this.reload_pending) {
+      return;
+    }
+
+    // Load a single new ad when several attributes are changed together
+    this.reload_pending = true;
+    Promise.resolve().then(() => {
+      this.reload_pending = false;
+      if (this.isConnected) {
+        this.reload();
+      }
+    });
+  }
+
+  /* Replaces the placement with a new one from the current attributes
+   *
+   * The new placement is loaded unless the `manual` attribute is set.
+   *
+   * @returns {Promise} Resolves once the ad is loaded or fails to load
+   */
+  reload() {
+    this.disconnectedCallback();
+
+    const options = attribute_options(this, "");
+    // The `style` attribute is the ad style here, not the element's CSS
+    options.placementBottom = null;
+
+    try {
+      this.placement = Placement.create(this, options);
+    } catch (err) {
+      if (err instanceof EthicalAdsError) {
+        logger.error({ code: "invalid-config" }, err.message);
+        return Promise.resolve();
+      }
+      throw err;
+    }
+
+    placement_registry.add(this.placement);
+
+    if (this.placement.load_manually) {
+      return Promise.resolve();
+    }
+    return this.placement.load().catch(report_error);
+  }
+}
+
+/* Returns the keywords a word or phrase could be written as
+ *
+ * For example, "node.js" could be "nodejs", "asp.net" could be "asp-net" and
+ * "c#" could be "csharp".
+ *
+ * @param {string} word - A lowercase word or a phrase joined with hyphens
+ * @returns {Array[string]} The word followed by its variants
+ */
+function keyword_variants(word) {
+  let variants = [word];
+
+  if (word.indexOf(".") > 0) {
+    variants.push(word.replace(/\./g, ""), word.replace(/\./g, "-"));
+  }
+  if (/#$/.test(word)) {
+    variants.push(word.replace(/#$/, "sharp"));
+  }
+  if (/\+\+$/.test(word)) {
+    variants.push(word.replace(/\+\+$/, "plusplus"));
+  }
+
+  return variants;
+}
+
+/* Returns the text of elements that should be searched for keywords
+ *
+ * Text in code samples, navigation and elements marked with `data-ea-ignore`
+ * is skipped (see `KEYWORD_IGNORE_SELECTOR`).
+ *
+ * @param {Array[Element]} elements - Elements to get the text of
+ * @param {number} max_words - Stop after roughly this many words
+ * @returns {string} The text of the elements
+ */
+function keyword_text(elements, max_words) {
+  let text = [];
+  let words = 0;
+
+  const walk = (node) => {
+    if (words >= max_words) return;
+    if (node.nodeType === Node.TEXT_NODE) {
+      // Whitespace between elements (eg. indentation) isn't a word
+      const node_words = node.nodeValue.match(/\S+/g);
+      text.push(node.nodeValue);
+      words += node_words ? node_words.length : 0;
+    } else if (
+      node.nodeType === Node.ELEMENT_NODE &&
+      !node.matches(KEYWORD_IGNORE_SELECTOR)
+    ) {
+      node.childNodes.forEach(walk);
+    }
+  };
+  elements.forEach(walk);
+
+  return text.join(" ");
+}
+
+/* Returns every occurrence of a keyword in some text
+ *
+ * Phrases of several words are matched as a hyphenated keyword
+ * (eg. "machine learning" matches "machine-learning") and the longest phrase
+ * is preferred. Phrases don't span punctuation like the end of a sentence.
+ *
+ * @param {string} text - Text to search
+ * @param {Set<string>} keywords - Keywords to search for
+ * @param {number} max_words - Maximum number of words of the text to search
+ * @returns {Array[string]} Keywords found (after resolving any aliases),
+ *  once for each occurrence
+ */
+function match_keywords(text, keywords, max_words) {
+  const wordTrimmer = /^[\('"]*(.*?)[,\.\?\!:;\)'"]*$/;
+  const phraseEnd = /[,\.\?\!:;\)]['"]?$/;
+
+  let words = [];
+  const parts = text.split(/\s+/);
+  for (let x = 0; x < parts.length && words.length < max_words; x++) {
+    // Remove certain punctuation from beginning and end of the word
+    const word = parts[x].replace(wordTrimmer, "$1").toLowerCase();
+    if (word) {
+      words.push({ word: word, ends_phrase: phraseEnd.test(parts[x]) });
+    }
+  }
+
+  let matches = [];
+  for (let x = 0; x < words.length; ) {
+    let length = Math.min(MAX_KEYWORD_PHRASE_WORDS, words.length - x);
+    for (; length > 0; length--) {
+      const phrase = words.slice(x, x + length);
+      if (phrase.slice(0, -1).some((word) => word.ends_phrase)) continue;
+
+      const keyword = keyword_variants(
+        phrase.map((word) => word.word).join("-")
+      ).find(
+        (variant) =>
+          keywords.has(variant) ||
+          Object.prototype.hasOwnProperty.call(keyword_aliases, variant)
+      );
+      if (keyword) {
+        matches.push(normalize_keywords([keyword])[0]);
+        break;
+      }
+    }
+
+    x += Math.max(length, 1);
+  }
+
+  return matches;
+}
+
+/* The default keyword extractor
+ *
+ * Counts the keywords in the content of the page. Keywords in the page
+ * title, meta keywords and headings count more (see `KEYWORD_WEIGHTS`).
+ *
+ * @param {Array[Element]} elements - The content of the page to search
+ * @param {Object} options - Options for extracting keywords:
+ *  keywords (Set of all keywords), max_keywords and min_occurrences
+ * @returns {Array[string]} The most common keywords, most common first
+ */
+export function extract_keywords(elements, options) {
+  let keywordHist = {}; // Keywords found => weighted count of keyword
+  const count = (text, weight) => {
+    match_keywords(text || "", options.keywords, MAX_WORDS_ANALYZED).forEach(
+      (keyword) => {
+        keywordHist[keyword] = (keywordHist[keyword] || 0) + weight;
+      }
+    );
+  };
+
+  count(keyword_text(elements, MAX_WORDS_ANALYZED), 1);
+  elements.forEach((element) => {
+    element.querySelectorAll("h1, h2, h3").forEach((heading) => {
+      if (heading.closest(KEYWORD_IGNORE_SELECTOR)) return;
+      count(heading.textContent, KEYWORD_WEIGHTS.heading);
+    });
+  });
+  count(document.title, KEYWORD_WEIGHTS.title);
+  const meta = document.querySelector("meta[name='keywords']");
+  if (meta) {
+    // Meta keywords are comma separated phrases
+    count(meta.getAttribute("content"), KEYWORD_WEIGHTS.meta);
+  }
+
+  // Sort the hist with the most common items first
+  // Grab only the `max_keywords` most common
+  return Object.entries(keywordHist)
+    .filter(
+      // Only consider a keyword with at least this many occurrences
+      (a) => a[1] >= options.min_occurrences
+    )
+    .sort((a, b) => {
+      if (a[1] > b[1]) return -1;
+      if (a[1] < b[1]) return 1;
+      return 0;
+    })
+    .slice(0, options.max_keywords)
+    .map((x) => x[0]);
+}
+
+/* Returns a short hash of a string
+ *
+ * Used to tell whether the content of the page has changed.
+ *
+ * @param {string} value - String to hash
+ * @returns {number} A 32 bit hash of the string
+ */
+function hash_string(value) {
+  let hash = 0;
+  for (let x = 0; x < value.length; x++) {
+    hash = (hash * 31 + value.charCodeAt(x)) | 0;
+  }
+  return hash;
+}
+
+/* Resolve keyword aliases to the keyword sent to the ad server
+ *
+ * @param {Array[string]} keywords - Keywords, possibly with aliases
+ * @returns {Array[string]} The keywords with aliases resolved and duplicates removed
+ */
+function normalize_keywords(keywords) {
+  let normalized = [];
+  keywords.forEach((keyword) => {
+    if (Object.prototype.hasOwnProperty.call(keyword_aliases, keyword)) {
+      keyword = keyword_aliases[keyword];
+    }
+    if (normalized.indexOf(keyword) === -1) normalized.push(keyword);
+  });
+  return normalized;
+}
+
+/* Add other ways to write a keyword
+ *
+ * Aliases are detected on the page like keywords and sent as the keyword
+ * they map to.
+ *
+ *   <script>
+ *     ethicalads.register_keyword_aliases({ k8s: "kubernetes" });
+ *   </script>
+ *
+ * @param {Object} aliases - Aliases mapped to the keyword to send instead
+ */
+export function register_keyword_aliases(aliases) {
+  Object.entries(aliases || {}).forEach(([alias, keyword]) => {
+    if (typeof keyword !== "string" || !keyword) {
+      logger.warn(
+        { code: "invalid-keyword-alias" },
+        "Invalid keyword alias '%s'.",
+        alias
+      );
+      return;
+    }
+    keyword_aliases[alias.toLowerCase()] = keyword.toLowerCase();
+  });
+
+  // Detect the keywords again with the new aliases
+  keyword_cache.clear();
+}
+
+/* Use a function to check the user's consent to contextual ads
+ *
+ * The hook is called before each ad request. When it returns `false`, the
+ * page URL and keywords aren't sent to the ad server and ad blockers aren't
+ * detected, the same as when the user enables Global Privacy Control.
+ *
+ *   <script>
+ *     ethicalads.register_consent_hook(() => {
+ *       return myConsentManager.hasConsent("advertising");
+ *     });
+ *   </script>
+ *
+ * @param {function} hook - Returns false if the user didn't consent,
+ *  or null to remove the hook
+ */
+export function register_consent_hook(hook) {
+  consent_hook = hook;
+}
+
+/* Use a custom function to find the keywords on the page
+ *
+ * The extractor is called with the same arguments as `extract_keywords` and
+ * must return an array of keywords. It can call `extract_keywords` itself to
+ * add to the default keywords.
+ *
+ *   <script>
+ *     ethicalads.register_keyword_extractor((elements, options) => {
+ *       return ["python"].concat(ethicalads.extract_keywords(elements, options));
+ *     });
+ *   </script>
+ *
+ * @param {function} extractor - The keyword extractor or null for the default
+ */
+export function register_keyword_extractor(extractor) {
+  keyword_extractor = extractor || extract_keywords;
+
+  // Detect the keywords again with the new extractor
+  keyword_cache.clear();
+}
+
+/* Get placement options from the attributes of an element
+ *
+ * @param {Element} element - Placement element
+ * @param {string} prefix - Prefix of the attribute names (eg. "data-ea-")
+ * @returns {Object} Placement options, see `createPlacement`
+ */
+function attribute_options(element, prefix) {
+  return {
+    publisher: element.getAttribute(prefix + "publisher"),
+    type: element.getAttribute(prefix + "type"),
+    keywords: element.getAttribute(prefix + "keywords"),
+    keywordSource: element.getAttribute(prefix + "keyword-source"),
+    keywordScope: element.getAttribute(prefix + "keyword-scope"),
+    campaignTypes: element.getAttribute(prefix + "campaign-types"),
+    manual: element.getAttribute(prefix + "manual") === "true",
+    style: element.getAttribute(prefix + "style"),
+    forceAd: element.getAttribute(prefix + "force-ad"),
+    forceCampaign: element.getAttribute(prefix + "force-campaign"),
+    transport: element.getAttribute(prefix + "transport"),
+    batch: element.getAttribute(prefix + "batch") === "true",
+    lazy: element.getAttribute(prefix + "lazy") === "true",
+    frequencyCap: parse_boolean(element.getAttribute(prefix + "frequency-cap")),
+    fallback: element.getAttribute(prefix + "fallback-url"),
+    render: element.getAttribute(prefix + "render"),
+    rotation: {
+      minViewTime: element.getAttribute(prefix + "rotation-min-view-time"),
+      maxRotations: element.getAttribute(prefix + "rotation-max"),
+      hashchange: parse_boolean(
+        element.getAttribute(prefix + "rotation-hashchange")
+      ),
+      visibilitychange: parse_boolean(
+        element.getAttribute(prefix + "rotation-visibilitychange")
+      ),
+      visibilitychangeDelay: element.getAttribute(
+        prefix + "rotation-visibilitychange-delay"
+      ),
+      interval: element.getAttribute(prefix + "rotation-interval"),
+    },
+    server: element.getAttribute(prefix + "server"),
+    // Note: this attribute value *must* contain a unit (eg. '200px')
+    placementBottom: element.getAttribute(prefix + "placement-bottom"),
+  };
+}
+
+/* Add the placement styles to the page if they haven't been added yet
+ *
+ * The styles are imported with webpack's lazy `style-loader` so importing
+ * the client doesn't change the page. When the client isn't bundled by
+ * webpack (eg. in the tests), the styles are a string and aren't added.
+ */
+function use_styles() {
+  if (!styles_used && typeof styles.use === "function") {
+    styles.use();
+    styles_used = true;
+  }
+}
+
+/* Returns an `AbortController` or an equivalent in browsers without it
+ *
+ * Without `AbortController`, requests can't be cancelled (eg. when they time
+ * out) but they're ignored once aborted, like when the placement is destroyed.
+ *
+ * @returns {AbortController} The controller, with a `signal` and `abort()`
+ */
+function abort_controller() {
+  if (window.AbortController) {
+    return new AbortController();
+  }
+
+  let listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => {
+      listeners.push(listener);
+    },
+    removeEventListener: (type, listener) => {
+      listeners = listeners.filter((registered) => registered !== listener);
+    },
+  };
+  return {
+    signal: signal,
+    abort: () => {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+    },
+  };
+}
+
+/* Parse a boolean data attribute
+ *
+ * @param {string} value - The attribute value
+ * @returns {boolean} The value or undefined if the attribute isn't set
+ */
+function parse_boolean(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return undefined;
+}
+
+/* Sends a GET request that outlives the page, eg. when it's being unloaded
+ *
+ * This uses a `fetch()` with `keepalive`. The pixels on the ad server only
+ * accept GET requests, so `navigator.sendBeacon` (which always POSTs) isn't
+ * used. Browsers without `keepalive` fall back to an image pixel, which may
+ * be cancelled when the page is unloaded.
+ *
+ * @param {string} url - The URL to request
+ * @returns {boolean} False if the request couldn't be sent this way
+ */
+function send_keepalive(url) {
+  if (window.fetch && window.Request && "keepalive" in Request.prototype) {
+    window.fetch(url, { mode: "no-cors", keepalive: true }).catch((err) => {
+      logger.debug(
+        { code: "beacon-failed" },
+        "View time request failed:",
+        err.message
+      );
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/* Detect whether this ad is "uplifted" meaning allowed by ABP's Acceptable Ads list
+ *
+ * Calls the provided callback passing a boolean whether this ad is uplifted.
+ * We need this data to provide back to the AcceptableAds folks.
+ * The callback is also passed whether both test pixels were blocked,
+ * meaning an ad blocker blocks pixels without allowing Acceptable Ads.
+ *
+ * This code comes directly from Eyeo/AdblockPlus team to measure Acceptable Ads.
+ *
+ * @param {string} px - A URL of a pixel to test
+ * @param {function) callback - A callback to call when finished
+ */
+function detect_abp(px, callback) {
+  var detected = false;
+  var checksRemain = 2;
+  var error1 = false;
+  var error2 = false;
+  if (typeof callback != "function") return;
+  px += "?ch=*&rn=*";
+
+  function beforeCheck(callback, timeout) {
+    if (checksRemain == 0 || timeout > 1e3)
+      callback(
+        checksRemain == 0 && detected,
+        checksRemain == 0 && error1 && error2
+      );
+    else
+      setTimeout(function () {
+        beforeCheck(callback, timeout * 2);
+      }, timeout * 2);
+  }
+
+  function checkImages() {
+    if (--checksRemain) return;
+    detected = !error1 && error2;
+  }
+  var random = Math.random() * 11;
+  var img1 = new Image();
+  img1.onload = checkImages;
+  img1.onerror = function () {
+    error1 = true;
+    checkImages();
+  };
+  img1.src = px.replace(/\*/, 1).replace(/\*/, random);
+  var img2 = new Image();
+  img2.onload = checkImages;
+  img2.onerror = function () {
+    error2 = true;
+    checkImages();
+  };
+  img2.src = px.replace(/\*/, 2).replace(/\*/, random);
+  beforeCheck(callback, 250);
+}
+
+/* Start detecting Acceptable Ads and blocked pixels once for the page
+ *
+ * @returns {Promise<Object>} Resolves with `acceptableAds` and `pixelBlocked`
+ */
+function detect_acceptable_ads() {
+  if (!blocking_detection && privacy_opt_out()) {
+    // Don't probe the user's ad blocker when they opted out
+    return Promise.resolve({ acceptableAds: false, pixelBlocked: false });
+  }
+
+  if (!blocking_detection) {
+    blocking_detection = new Promise((resolve) => {
+      detect_abp(config.abp_detection_px, (usesABP, pixelBlocked) => {
+        uplifted = usesABP;
+        if (usesABP) {
+          logger.debug(
+            { code: "acceptable-ads" },
+            "Acceptable Ads enabled. Thanks for allowing our non-tracking ads :)"
+          );
+        }
+        resolve({ acceptableAds: usesABP, pixelBlocked: pixelBlocked });
+      });
+    });
+  }
+
+  return blocking_detection;
+}
+
+/* Returns whether the user opted out of sharing the page with the ad server
+ *
+ * Users opt out with Global Privacy Control or Do Not Track. Publishers can
+ * also check their own consent with `register_consent_hook`.
+ *
+ * @returns {boolean} True if the user opted out
+ */
+function privacy_opt_out() {
+  if (navigator.globalPrivacyControl === true) return true;
+  if (
+    [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some(
+      (value) => value === "1" || value === "yes"
+    )
+  ) {
+    return true;
+  }
+
+  if (consent_hook) {
+    try {
+      return consent_hook() === false;
+    } catch (err) {
+      // Without an answer, assume the user didn't consent
+      logger.error(
+        { code: "consent-hook-failed" },
+        "Consent hook failed: %s",
+        err.message
+      );
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/* Fetch fallback HTML from the publisher's site
+ *
+ * @param {string} url - URL of an HTML snippet on the same site as the page
+ * @returns {Promise<string>} Resolves with the HTML
+ */
+function fetch_fallback(url) {
+  const fallback_url = new URL(url, window.location.href);
+  if (fallback_url.origin !== window.location.origin) {
+    return Promise.reject(
+      new EthicalAdsError("Fallback content must be on the same site.")
+    );
+  }
+
+  return window.fetch(fallback_url.href).then((response) => {
+    if (!response.ok) {
+      throw new EthicalAdsError(
+        "Fallback content request failed: " + response.status
+      );
+    }
+    return response.text();
+  });
+}
+
+/* Returns the ids of the ads recently shown in this browser session
+ *
+ * Storage can be unavailable (eg. disabled by the user or in a sandboxed
+ * iframe), in which case no ads are excluded.
+ *
+ * @returns {Array[string]} Ad ids, most recently shown last
+ */
+function shown_ads() {
+  try {
+    const shown = JSON.parse(
+      window.sessionStorage.getItem(FREQUENCY_CAP_STORAGE_KEY)
+    );
+    if (Array.isArray(shown)) {
+      return shown.filter((id) => typeof id === "string");
+    }
+  } catch (err) {
+    logger.debug("Shown ads are not available:", err.message);
+  }
+  return [];
+}
+
+/* Remember that an ad was shown in this browser session
+ *
+ * Only the `FREQUENCY_CAP_MAX_ADS` most recently shown ads are kept.
+ *
+ * @param {string} id - The ad id from the decision API response
+ */
+function remember_shown_ad(id) {
+  id = String(id);
+  let shown = shown_ads().filter((shown_id) => shown_id !== id);
+  shown.push(id);
+
+  try {
+    window.sessionStorage.setItem(
+      FREQUENCY_CAP_STORAGE_KEY,
+      JSON.stringify(shown.slice(-FREQUENCY_CAP_MAX_ADS))
+    );
+  } catch (err) {
+    logger.debug("Shown ads can't be stored:", err.message);
+  }
+}
+
+/* Build a placement's rotation policy from its options
+ *
+ * Missing options use the module defaults and numeric options are kept within
+ * `ROTATION_BOUNDS` so publishers can't rotate ads unreasonably often.
+ *
+ * @param {Object} options - Rotation options: min_view_time, max_rotations,
+ *  hashchange, visibilitychange, visibilitychange_delay and interval
+ * @returns {Object} The rotation policy
+ */
+function rotation_policy(options) {
+  let policy = {
+    min_view_time: MIN_VIEW_TIME_ROTATION_DURATION,
+    max_rotations: MAX_ROTATIONS,
+    hashchange: HASHCHANGE_ROTATION_ENABLE,
+    visibilitychange: VISIBILITYCHANGE_ROTATION_ENABLE,
+    visibilitychange_delay: VISIBILITYCHANGE_ROTATION_DELAY,
+    interval: VIEW_TIME_ROTATION_INTERVAL,
+  };
+
+  Object.keys(policy).forEach((key) => {
+    const value = (options || {})[key];
+    if (value === undefined || value === null || value === "") {
+      return;
+    }
+
+    if (typeof policy[key] === "boolean") {
+      const enabled =
+        typeof value === "string" ? parse_boolean(value) : Boolean(value);
+      if (enabled === undefined) {
+        logger.warn(
+          { code: "invalid-rotation-option" },
+          "Invalid rotation option %s: %s",
+          key,
+          value
+        );
+        return;
+      }
+      policy[key] = enabled;
+      return;
+    }
+
+    const number = Number(value);
+    if (isNaN(number)) {
+      logger.warn(
+        { code: "invalid-rotation-option" },
+        "Invalid rotation option %s: %s",
+        key,
+        value
+      );
+      return;
+    }
+    if (key === "interval" && number === 0) {
+      policy[key] = 0;
+      return;
+    }
+
+    const [min, max] = ROTATION_BOUNDS[key];
+    policy[key] = Math.min(Math.max(number, min), max);
+    if (policy[key] !== number) {
+      logger.warn(
+        { code: "invalid-rotation-option" },
+        "Rotation option %s must be between %d and %d",
+        key,
+        min,
+        max
+      );
+    }
+  });
+
+  policy.max_rotations = Math.round(policy.max_rotations);
+
+  return policy;
+}
+
+/* Parse a list option from either an array or a pipe separated string
+ *
+ * @param {Array<string>|string} value - The option value
+ * @param {string} name - The option name used in errors
+ * @throws {EthicalAdsError} If the value isn't a list of strings
+ * @returns {Array<string>}
+ */
+function parse_list(value, name) {
+  if (!value) {
+    return [];
+  }
+  if (typeof value === "string") {
+    value = value.split("|");
+  }
+  if (!Array.isArray(value) || value.some((word) => typeof word !== "string")) {
+    throw new EthicalAdsError("EthicalAd " + name + " must be a list.");
+  }
+
+  return value.filter((word) => word.length > 1);
+}
+
+/* Transports used to query the decision API
+ *
+ * Each transport takes the decision API URL, an object of query params and an
+ * optional `AbortSignal` to cancel the request. It returns a Promise that
+ * resolves to the decoded API response. The promise is rejected if there was
+ * a problem with the request. Requests are timed out and retried by
+ * `request_decision`.
+ *
+ * These are looked up by name on every request, so tests can mock a single
+ * transport rather than stubbing `Placement.fetch`.
+ *
+ * @type {Object<string, function>}
+ */
+export const transports = {
+  /* Query the decision API with `fetch()` using CORS */
+  fetch(url, params, signal) {
+    const url_params = new URLSearchParams(
+      Object.assign({}, params, { format: "json" })
+    );
+
+    return window
+      .fetch(url + "?" + url_params.toString(), {
+        mode: "cors",
+        // Requests can't be cancelled in browsers without `AbortController`
+        signal:
+          window.AbortSignal && signal instanceof AbortSignal
+            ? signal
+            : undefined,
+      })
+      .then((response) => {
+        if (!response.ok) {
+          throw new DecisionServerError(
+            "Ad decision API returned " + response.status,
+            response.status
+          );
+        }
+        return response.json().catch(() => {
+          throw new DecisionServerError(
+            "Ad decision API returned an invalid response",
+            response.status
+          );
+        });
+      });
+  },
+
+  /* Query the decision API by adding a script with a callback on `window`
+   *
+   * The callback and the script are both removed once the request completes
+   * or is aborted.
+   */
+  jsonp(url, params, signal) {
+    // Make sure callbacks don't collide even with multiple placements
+    const callback =
+      "ad_" + Date.now() + "_" + Math.floor(Math.random() * 1000000);
+    const url_params = new URLSearchParams(
+      Object.assign({}, params, { callback: callback, format: "jsonp" })
+    );
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      const cleanup = () => {
+        delete window[callback];
+        script.remove();
+      };
+
+      window[callback] = (response) => {
+        cleanup();
+        resolve(response);
+      };
+
+      script.src = url + "?" + url_params.toString();
+      script.type = "text/javascript";
+      script.async = true;
+      script.addEventListener("error", () => {
+        cleanup();
+        reject(new DecisionBlockedError("Ad decision script failed to load"));
+      });
+      if (signal) {
+        signal.addEventListener("abort", () => {
+          cleanup();
+          reject(new DOMException("Ad decision request aborted", "AbortError"));
+        });
+      }
+      document.getElementsByTagName("head")[0].appendChild(script);
+    });
+  },
+};
+
+/* Query the decision API using the named transport
+ *
+ * If the CORS request fails outright (as opposed to timing out or returning an
+ * error status), retry the request with the JSONP transport.
+ *
+ * Requests that take longer than `decision_timeout` seconds are aborted.
+ * Requests that time out or fail because of the network or the server are
+ * retried up to `decision_retries` times, waiting twice as long before each
+ * retry. Blocked requests aren't retried.
+ *
+ * @param {string} url - Decision API URL
+ * @param {string} transport - Name of a transport in `transports`
+ * @param {Object} params - Query params for the decision API
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @param {number} attempt - Number of requests already made (for retries)
+ * @returns {Promise<Object>} Resolves to the decoded API response or rejects
+ *  with a `DecisionError` (or an `AbortError` if the signal aborted it)
+ */
+function request_decision(url, transport, params, signal, attempt = 0) {
+  return request_with_timeout(url, transport, params, signal)
+    .catch((err) => {
+      // `fetch()` rejects with a TypeError for CORS and network failures
+      if (transport === "jsonp" || !(err instanceof TypeError)) {
+        throw err;
+      }
+      logger.debug(
+        { code: "jsonp-fallback" },
+        "CORS ad decision request failed. Falling back to JSONP."
+      );
+      return request_with_timeout(url, "jsonp", params, signal);
+    })
+    .catch((err) => {
+      if (signal && signal.aborted) {
+        throw err;
+      }
+
+      err = decision_error(err);
+      err.attempts = attempt + 1;
+      if (!is_transient(err) || attempt >= config.decision_retries) {
+        throw err;
+      }
+
+      const delay = DECISION_RETRY_DELAY * Math.pow(2, attempt);
+      logger.debug(
+        { code: "request-retry" },
+        "Ad decision request failed: %s. Retrying in %ss.",
+        err.message,
+        delay
+      );
+      return new Promise((resolve) => setTimeout(resolve, delay * 1000)).then(
+        () => {
+          if (signal && signal.aborted) {
+            throw new DOMException("Ad decision request aborted", "AbortError");
+          }
+          return request_decision(url, transport, params, signal, attempt + 1);
+        }
+      );
+    });
+}
+
+/* Query the decision API once, giving up after `decision_timeout` seconds
+ *
+ * The transport's request is aborted on timeout, so the JSONP callback and
+ * script are removed.
+ *
+ * @param {string} url - Decision API URL
+ * @param {string} transport - Name of a transport in `transports`
+ * @param {Object} params - Query params for the decision API
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} Resolves to the decoded API response
+ */
+function request_with_timeout(url, transport, params, signal) {
+  const controller = abort_controller();
+  const abort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener("abort", abort);
+  }
+
+  let timeout;
+  const timed_out = new Promise((resolve, reject) => {
+    timeout = setTimeout(() => {
+      controller.abort();
+      reject(new DecisionTimeoutError("Ad decision request timed out"));
+    }, config.decision_timeout * 1000);
+  });
+
+  return Promise.race([
+    transports[transport](url, params, controller.signal),
+    timed_out,
+  ]).finally(() => {
+    clearTimeout(timeout);
+    if (signal) {
+      signal.removeEventListener("abort", abort);
+    }
+  });
+}
+
+/* Returns the `DecisionError` for a failed ad decision request
+ *
+ * Ad blockers and network failures both make requests fail outright, so
+ * requests that fail while the browser is offline are network errors.
+ *
+ * @param {Error} err - The error the request failed with
+ * @returns {DecisionError}
+ */
+function decision_error(err) {
+  if (err instanceof DecisionError && !(err instanceof DecisionBlockedError)) {
+    return err;
+  }
+  if (navigator.onLine === false) {
+    return new DecisionNetworkError("The browser is offline");
+  }
+  if (err instanceof DecisionBlockedError) {
+    return err;
+  }
+  return new DecisionBlockedError(err.message);
+}
 
-      let container = document.createElement("div");
-      container.setAttribute("class", "ea-fixedfooter-hide");
-      element.appendChild(container);
+/* Returns whether a failed ad decision request should be retried
+ *
+ * @param {DecisionError} err - The error the request failed with
+ * @returns {boolean} True for timeouts, network errors and server errors
+ */
+function is_transient(err) {
+  if (err instanceof DecisionServerError) {
+    return err.status >= 500 || err.status === 429;
+  }
+  return (
+    err instanceof DecisionTimeoutError || err instanceof DecisionNetworkError
+  );
+}
 
-      let hideButton = document.createElement("span");
-      hideButton.append("Close Ad");
-      hideButton.addEventListener("click", function () {
-        document.querySelector("[data-ea-publisher]").remove();
+/* Returns the placement outcome for a failed ad decision request
+ *
+ * @param {DecisionError} err - The error the request failed with
+ * @returns {string} "timeout", "server-error", "network-error" or "blocked"
+ */
+function decision_outcome(err) {
+  if (err instanceof DecisionTimeoutError) return "timeout";
+  if (err instanceof DecisionServerError) return "server-error";
+  if (err instanceof DecisionNetworkError) return "network-error";
+  return "blocked";
+}
+
+/* Request ad decisions for several placements at once
+ *
+ * Placements that would send the same publisher, server, transport, campaign
+ * types and keywords are coalesced into a single decision request with plural
+ * `ad_types` and `div_ids`. Placements with different keywords (eg. with
+ * `keyword_scope` or `keyword_source`) aren't batched together so each keeps
+ * its own targeting. The server responds with a `decisions` array and each decision is
+ * matched back to its placement by `div_id`.
+ *
+ * Servers that don't support batching respond with a single decision. The
+ * placements that didn't get that decision are then fetched individually.
+ *
+ * @param {[Placement]} placements - Placements to batch
+ * @returns {Map<Placement, Promise<Element>>} The decision for each batched
+ *  placement. Placements that couldn't be batched are not included.
+ */
+function fetch_batches(placements) {
+  const decisions = new Map();
+  const groups = {};
+  const div_ids = new Set();
+
+  placements.forEach((placement) => {
+    // Forcing an ad or campaign is for testing a single placement
+    if (placement.force_ad || placement.force_campaign) return;
+
+    // Lazy placements request their ad when they're scrolled to
+    if (placement.lazy) return;
+
+    // Decisions can't be matched back to placements with duplicate ids
+    if (div_ids.has(placement.div_id)) return;
+    div_ids.add(placement.div_id);
+
+    const key = [
+      placement.publisher,
+      placement.decision_url,
+      placement.transport,
+      placement.campaign_types.join("|"),
+      placement.frequency_cap,
+      normalize_keywords(
+        placement.keywords.concat(placement.detectKeywords())
+      ).join("|"),
+    ].join(" ");
+    groups[key] = (groups[key] || []).concat([placement]);
+  });
+
+  Object.values(groups)
+    .filter((group) => group.length > 1)
+    .forEach((group) => {
+      // The placements in a group have the same keywords
+      let params = group[0].getParams();
+      params.ad_types = group.map((placement) => placement.ad_type).join("|");
+      params.div_ids = group.map((placement) => placement.div_id).join("|");
+
+      logger.debug("Batching %d placements in one request", group.length);
+      const request = request_decision(
+        group[0].decision_url,
+        group[0].transport,
+        params
+      );
+
+      group.forEach((placement) => {
+        decisions.set(
+          placement,
+          request.then(
+            (response) => {
+              const batched = Array.isArray(response && response.decisions);
+              const decision = (batched ? response.decisions : [response]).find(
+                (item) => item && item.div_id === placement.div_id
+              );
+
+              if (decision) {
+                return placement.handleResponse(decision);
+              }
+              return batched ? null : placement.fetch();
+            },
+            (err) => placement.handleError(err)
+          )
+        );
       });
-      container.appendChild(hideButton);
-    }
-  }
+    });
+
+  return decisions;
 }
 
 /* Detects whether the browser supports the necessary JS APIs to support the ad client
@@ -1004,6 +2605,7 @@ export function check_dependencies() {
     !window.Promise
   ) {
     logger.error(
+      { code: "unsupported-browser" },
       "Browser does not meet ethical ad client dependencies. Not showing ads"
     );
     return false;
@@ -1023,55 +2625,356 @@ export function load_placements(force_load = false) {
   let elements = Array.prototype.slice.call(node_list);
 
   if (elements.length === 0) {
-    logger.warn("No ad placements found.");
+    logger.warn({ code: "no-placements" }, "No ad placements found.");
+  }
+
+  return load_elements(elements, force_load);
+}
+
+/* Create and load placements for the given placement DOM elements
+ *
+ * @param {[Element]} elements - Elements with placement data attributes
+ * @param {boolean} force_load - load placements even if they are set to load manually
+ * @returns {Promise<[Placement]>} Resolves to a list of Placement instances
+ */
+function load_elements(elements, force_load) {
+  const placements = elements.map((element, index) => {
+    const placement = Placement.from_element(element);
+
+    if (!placement) {
+      // Placement has already been loaded
+      return null;
+    }
+
+    placement.index = index;
+
+    if (force_load || !placement.load_manually) {
+      placement_registry.add(placement);
+
+      // Placements loaded on demand aren't deferred any further
+      if (force_load) {
+        placement.lazy = false;
+      }
+      return placement;
+    }
+
+    // This will be manually loaded later
+    return null;
+  });
+
+  // Run AcceptableAds detection code for placements loaded automatically
+  // This lets us know how many impressions are attributed to AcceptableAds
+  // This only runs once even for multiple placements
+  if (!force_load && placements.some((placement) => placement)) {
+    detect_acceptable_ads();
   }
 
+  // Placements that opted into batching share decision requests
+  const decisions = fetch_batches(
+    placements.filter((placement) => placement && placement.batch)
+  );
+
   // Create main promise. Iterator `all()` Promise will surround array of found
   // elements. If any of these elements have issues, this main promise will
   // reject.
   return Promise.all(
-    elements.map((element, index) => {
-      const placement = Placement.from_element(element);
-
+    placements.map((placement) => {
       if (!placement) {
-        // Placement has already been loaded
+        // This will be manually loaded later or has already been loaded
         return null;
       }
 
-      placement.index = index;
-
-      // Run AcceptableAds detection code
-      // This lets us know how many impressions are attributed to AceeptableAds
-      // Only run this once even for multiple placements
-      // All impressions will be correctly attributed
-      if (index === 0 && placement && !force_load) {
-        placement.detectABP(ABP_DETECTION_PX, function (usesABP) {
-          uplifted = usesABP;
-          if (usesABP) {
-            logger.debug(
-              "Acceptable Ads enabled. Thanks for allowing our non-tracking ads :)"
-            );
-          }
-        });
+      if (placement.lazy) {
+        // Don't hold up the promise for a placement that may never be seen.
+        // It resolves to the placement which will be loaded later.
+        placement.load().catch(report_error);
+        return placement;
       }
 
-      if (placement && (force_load || !placement.load_manually)) {
-        return placement.load();
-      } else {
-        // This will be manually loaded later or has already been loaded
-        return null;
-      }
+      return placement.load(decisions.get(placement));
     })
   );
 }
 
+/* Watch for navigation and new placements in single-page apps
+ *
+ * Navigating with the history API (`pushState`, `replaceState` and
+ * `popstate`) sends the view time of each placement, detects the page
+ * keywords again and rotates placements that meet the rotation conditions.
+ * Placement elements added to the DOM are loaded and placements removed
+ * from the DOM are destroyed.
+ *
+ * This is enabled with the `watch_navigation` global config or by calling
+ * this function directly.
+ *
+ * @returns {function} Call to stop watching
+ */
+export function watch_navigation() {
+  if (stop_navigation_watcher) {
+    return stop_navigation_watcher;
+  }
+
+  let navigation_timeout = null;
+  let mutation_timeout = null;
+  let last_url = window.location.pathname + window.location.search;
+
+  const on_navigation = () => {
+    clearTimeout(navigation_timeout);
+    navigation_timeout = setTimeout(() => {
+      // Ignore state changes that don't change the page (eg. scroll position)
+      const url = window.location.pathname + window.location.search;
+      if (url === last_url) return;
+      last_url = url;
+
+      logger.debug("Page navigation detected. Rotating placements.");
+      placement_registry.forEach((placement) => {
+        placement.sendViewTime();
+        // The page content changed even if the ad can't rotate yet
+        placement.detectKeywords();
+        if (placement.canRotate()) {
+          placement.rotate().catch(report_error);
+        }
+      });
+    }, NAVIGATION_DEBOUNCE);
+  };
+
+  // Elements that were already loaded or skipped (eg. manual or invalid
+  // placements) aren't loaded again on every mutation
+  const seen = new WeakSet();
+  document
+    .querySelectorAll("[" + ATTR_PREFIX + "publisher]")
+    .forEach((element) => seen.add(element));
+
+  const on_mutation = (records) => {
+    // Ignore the ads and pixels the client adds to placements
+    const changed = records.some((record) => {
+      return !record.target.closest("[" + ATTR_PREFIX + "publisher]");
+    });
+    if (!changed) return;
+
+    clearTimeout(mutation_timeout);
+    mutation_timeout = setTimeout(() => {
+      placement_registry.forEach((placement) => {
+        if (!placement.target.isConnected) {
+          placement.destroy();
+          // The element is loaded again if it's added back to the page
+          seen.delete(placement.target);
+        }
+      });
+
+      // Only load elements that aren't already placements
+      const loaded = Array.from(placement_registry).map(
+        (placement) => placement.target
+      );
+      const node_list = document.querySelectorAll(
+        "[" + ATTR_PREFIX + "publisher]:not(.loaded)"
+      );
+      const elements = Array.prototype.slice
+        .call(node_list)
+        .filter((element) => {
+          return loaded.indexOf(element) < 0 && !seen.has(element);
+        });
+      elements.forEach((element) => seen.add(element));
+      if (elements.length) {
+        logger.debug("New placements detected. Loading placements.");
+        load_elements(elements, false).catch(report_error);
+      }
+    }, NAVIGATION_DEBOUNCE);
+  };
+
+  // The history API doesn't have events for `pushState` and `replaceState`
+  const history_methods = {};
+  ["pushState", "replaceState"].forEach((method) => {
+    history_methods[method] = window.history[method];
+    window.history[method] = function () {
+      const result = history_methods[method].apply(this, arguments);
+      on_navigation();
+      return result;
+    };
+  });
+  window.addEventListener("popstate", on_navigation);
+
+  const observer = new MutationObserver(on_mutation);
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  stop_navigation_watcher = () => {
+    clearTimeout(navigation_timeout);
+    clearTimeout(mutation_timeout);
+    Object.keys(history_methods).forEach((method) => {
+      window.history[method] = history_methods[method];
+    });
+    window.removeEventListener("popstate", on_navigation);
+    observer.disconnect();
+    stop_navigation_watcher = null;
+  };
+
+  return stop_navigation_watcher;
+}
+
+/* Create a placement programmatically
+ *
+ * This is an alternative to scanning for `data-ea-publisher` elements for
+ * sites that render their own ad container such as React or Vue apps.
+ * The placement isn't loaded until `load()` is called on it.
+ *
+ *   <script>
+ *     const placement = ethicalads.createPlacement(element, {
+ *       publisher: "...",
+ *       type: "text",
+ *     });
+ *     placement.load();
+ *   </script>
+ *
+ * @param {Element} element - Load placement and append to this Element
+ * @param {Object} options - Placement options: publisher (required), type,
+ *  keywords, style, campaignTypes, forceAd, forceCampaign, transport, server,
+ *  batch, lazy, rotation, keywordSource, keywordScope, frequencyCap, fallback,
+ *  render
+ * @throws {EthicalAdsError} If the options are invalid
+ * @returns {Placement} A placement with `load()`, `refresh()` and `destroy()`
+ */
+export function createPlacement(element, options = {}) {
+  if (element && element.classList && element.classList.contains("loaded")) {
+    throw new EthicalAdsError("EthicalAd already loaded.");
+  }
+
+  return Placement.create(element, options);
+}
+
+/* Register the `<ethical-ad>` custom element
+ *
+ * `start()` registers it once the page content is available. When the module
+ * is used without `start()`, call this to use `<ethical-ad>` elements.
+ *
+ *   import { define_element } from "ethical-ad-client";
+ *   define_element();
+ *
+ * @returns {boolean} False if custom elements aren't supported
+ */
+export function define_element() {
+  if (typeof window === "undefined" || !window.customElements) {
+    return false;
+  }
+
+  if (!customElements.get(CUSTOM_ELEMENT_NAME)) {
+    customElements.define(CUSTOM_ELEMENT_NAME, EthicalAdElement);
+  }
+  return true;
+}
+
+/* Detect whether ads are blocked on this page
+ *
+ * Publishers can use this to show a polite message to users who block ads.
+ * This waits for the placements on the page and any other placements
+ * requesting an ad to load.
+ *
+ *   <script>
+ *     ethicalads.detectBlocking().then((blocking) => {
+ *       if (blocking.decisionBlocked) {
+ *         // Ask the user to consider allowing our ads
+ *       }
+ *     });
+ *   </script>
+ *
+ * @returns {Promise<Object>} Resolves with whether the user allows Acceptable
+ *  Ads (`acceptableAds`) and whether ad requests (`decisionBlocked`) or
+ *  pixels (`pixelBlocked`) are blocked
+ */
+export function detectBlocking() {
+  return Promise.all([detect_acceptable_ads(), wait, placements_loaded()]).then(
+    ([detection]) => {
+      return {
+        acceptableAds: detection.acceptableAds,
+        decisionBlocked: decision_blocked,
+        pixelBlocked: detection.pixelBlocked,
+      };
+    }
+  );
+}
+
+/* Waits for the placements requesting an ad to load
+ *
+ * This includes placements created with `createPlacement()`, `<ethical-ad>`
+ * elements and lazy placements once they request an ad.
+ *
+ * @returns {Promise} Resolves once no placement is waiting for a decision
+ */
+function placements_loaded() {
+  if (!pending_loads.size) return Promise.resolve();
+
+  const loads = Array.from(pending_loads).map((loading) => {
+    return loading.catch(() => {});
+  });
+  return Promise.all(loads).then(placements_loaded);
+}
+
+/* Register a handler for a placement lifecycle event on any placement
+ *
+ * Events are "loaded", "nofill", "blocked", "error", "fallback", "viewed",
+ * "viewtime-sent", "rotated" and "closed". The handler is passed the `CustomEvent` which has
+ * the placement in `event.detail.placement`.
+ *
+ *   <script>
+ *     ethicalads.on("nofill", (event) => {
+ *       event.detail.placement.target.style.display = "none";
+ *     });
+ *   </script>
+ *
+ * @param {string} name - Event name, optionally prefixed with "ea:"
+ * @param {function} handler - Called with the event
+ * @returns {function} Call to remove the handler
+ */
+export function on(name, handler) {
+  if (name.indexOf(EVENT_PREFIX) === 0) {
+    name = name.slice(EVENT_PREFIX.length);
+  }
+  event_handlers[name] = (event_handlers[name] || []).concat([handler]);
+
+  return () => {
+    event_handlers[name] = event_handlers[name].filter(
+      (registered) => registered !== handler
+    );
+  };
+}
+
+/* Destroy the placements created by `load_placements()`
+ *
+ * Any other placement elements are emptied as well.
+ */
 export function unload_placements() {
+  const destroyed = new Set();
+  placement_registry.forEach((placement) => {
+    placement.destroy();
+    destroyed.add(placement.target);
+  });
+
   const node_list = document.querySelectorAll("[" + ATTR_PREFIX + "publisher]");
   let elements = Array.prototype.slice.call(node_list);
 
   elements.forEach((div) => {
-    div.innerHTML = "";
-    div.classList.remove("loaded");
+    if (destroyed.has(div)) return;
+
+    clear_children(div);
+    div.classList.remove("loaded", "ea-fallback");
+  });
+}
+
+/* Removes the ad (or fallback content) from a placement's element
+ *
+ * Fallback templates (`<template data-ea-fallback>`) are kept so they can
+ * be shown again.
+ *
+ * @param {Element} element - The placement's target element
+ */
+function clear_children(element) {
+  Array.from(element.childNodes).forEach((node) => {
+    if (
+      node.nodeType === Node.ELEMENT_NODE &&
+      node.matches("template[" + ATTR_PREFIX + "fallback]")
+    ) {
+      return;
+    }
+    element.removeChild(node);
   });
 }
 
@@ -1084,10 +2987,99 @@ export function set_verbosity() {
       logger.verbosity = VERBOSITY[user_verbosity];
     }
   }
+
+  // The debug overlay comes with the debug messages
+  if (new URLSearchParams(window.location.search).has(DEBUG_PARAM)) {
+    logger.verbosity = VERBOSITY["verbose"];
+  }
+}
+
+/* Formats a log message like the console does
+ *
+ * @param {string} message - The message, which can have `%s`, `%d`, `%i`,
+ *  `%f` and `%o` placeholders
+ * @param {Array} params - The placeholder values. Any others are appended.
+ * @returns {string} The formatted message
+ */
+function format_message(message, params) {
+  params = params.slice();
+  message = String(message).replace(/%[sdifoO]/g, (placeholder) => {
+    return params.length ? String(params.shift()) : placeholder;
+  });
+
+  return [message].concat(params.map(String)).join(" ");
+}
+
+/* Send the client's log records somewhere other than the console
+ *
+ * Each log record has the `time`, `level` ("debug", "info", "warn" or
+ * "error"), an event `code` such as "nofill" or "invalid-server", the
+ * `placement` id if the record is about a placement and the `message`.
+ * Sinks other than the console get the records of every level.
+ *
+ *   <script>
+ *     ethicalads.register_log_sink((record) => {
+ *       if (record.level === "error") myErrorTracker.log(record);
+ *     });
+ *   </script>
+ *
+ * @param {string|function} sink - "console", "buffer" to keep the latest
+ *  records for `log_records()`, a function called with each record or null
+ *  for the `log_sink` global config (the console by default)
+ */
+export function register_log_sink(sink) {
+  if (
+    sink &&
+    typeof sink !== "function" &&
+    ["console", "buffer"].indexOf(sink) < 0
+  ) {
+    logger.warn({ code: "invalid-log-sink" }, "Unknown log sink '%s'.", sink);
+    return;
+  }
+  logger.sink = sink;
+}
+
+/* Returns the records kept by the "buffer" log sink
+ *
+ * @returns {Array[Object]} The latest log records, oldest first
+ */
+export function log_records() {
+  return logger.records.slice();
+}
+
+/* Log an error from loading placements
+ *
+ * @param {Error} err - The error
+ */
+function report_error(err) {
+  if (err instanceof Error) {
+    if (err instanceof EthicalAdsWarning) {
+      // Report these at a lower log level
+      logger.warn(err.message);
+      return;
+    }
+    logger.error(err.message);
+  }
 }
 
 // An error class that we will not surface to clients normally.
-class EthicalAdsWarning extends Error {}
+export class EthicalAdsWarning extends Error {}
+
+// An error class for invalid placement configuration.
+export class EthicalAdsError extends Error {}
+
+// Error classes for failed ad decision requests, kept in `placement.error`.
+export class DecisionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status; // The HTTP status of server errors
+    this.attempts = 1; // Including any retries
+  }
+}
+export class DecisionTimeoutError extends DecisionError {}
+export class DecisionBlockedError extends DecisionError {}
+export class DecisionNetworkError extends DecisionError {}
+export class DecisionServerError extends DecisionError {}
 
 /* Wrapping Promise to allow for handling of errors by user
  *
@@ -1096,7 +3088,7 @@ class EthicalAdsWarning extends Error {}
  * cases).
  *
  * This promise resolves to an aray of Placement instances, or an empty list if
- * there was any error configuring the placements.
+ * there was any error configuring the placements. It's set by `start()`.
  *
  * For example, to perform an action when no placements are loaded:
  *
@@ -1124,6 +3116,9 @@ export var wait;
 export var load;
 
 /* Reloading placements. Used by SPAs.
+ *
+ * Like `load`, this is set by `start()`.
+ *
  * @type function
  */
 export var reload;
@@ -1133,26 +3128,100 @@ export var reload;
  */
 export var uplifted = false;
 
-/* Keywords detected on the page
+/* Whether the placement styles were added to the page (see `use_styles`)
+ * @type boolean
+ */
+let styles_used = false;
+
+/* Stylesheet shared by the shadow roots of placements
+ * @type CSSStyleSheet
+ */
+let shadow_stylesheet = null;
+
+/* Acceptable Ads detection, once it has started
+ * @type {Promise<Object>}
+ */
+let blocking_detection = null;
+
+/* Whether a decision request on this page was blocked
+ * @type boolean
+ */
+let decision_blocked = false;
+
+/* Placement loads with a pending ad decision (see `detectBlocking`)
+ * @type {Set<Promise>}
+ */
+const pending_loads = new Set();
+
+/* Handlers registered with `on()` by event name
+ * @type {Object<string, [function]>}
+ */
+const event_handlers = {};
+
+/* Placements created by `load_placements()` that haven't been destroyed
+ * @type {Set<Placement>}
+ */
+const placement_registry = new Set();
+
+/* Stops the navigation watcher if it's running
+ * @type function
+ */
+let stop_navigation_watcher = null;
+
+/* Function used to check the user's consent to contextual ads
+ * @type function
+ */
+let consent_hook = config.consent_hook;
+
+/* Function used to find the keywords on the page
+ * @type function
+ */
+let keyword_extractor = extract_keywords;
+
+/* Keyword aliases including any added by the publisher
+ * @type {Object}
+ */
+let keyword_aliases = Object.assign({}, KEYWORD_ALIASES);
+
+/* Keywords detected for each version of the page content (see `hash_string`)
+ * @type {Map<number, Array[string]>}
+ */
+const keyword_cache = new Map();
+
+/* Keywords most recently detected in the main content of the page
+ *
+ * Each placement stores its own keywords in `detected_keywords`.
+ *
  * @type {Array[string]}
  */
 export var detectedKeywords = null;
 
-/* If importing this as a module, do not automatically process DOM and fetch the
- * ad placement. Only do this if using the module directly, from a `script`
- * element. This will allow for future extension and packaging as a module.
+/* Load the placements on the page
+ *
+ * This is called by the script tag bundle (`auto.js`) as soon as it's loaded.
+ * When the client is imported as a module, nothing is loaded until this is
+ * called, or until placements are created with `createPlacement()`.
  *
  * This also replicates JQuery `$(document).ready()`, with added protection for
  * usage of `async` -- the DOM ready event can fire before the script is loaded..
+ *
+ * @returns {Promise<[Placement]>} The `wait` promise
  */
-if (window.ethicalads) {
-  // Always display this warning regardless of log level
-  // This is a code mistake by publishers and should be caught right away.
-  console.warn(
-    "Double-loading the EthicalAds client. Use reload() instead. https://ethical-ad-client.readthedocs.io/en/latest/#single-page-apps"
-  );
-}
-if (check_dependencies()) {
+export function start() {
+  if (wait || window.ethicalads) {
+    // Always display this warning regardless of log level
+    // This is a code mistake by publishers and should be caught right away.
+    console.warn(
+      "Double-loading the EthicalAds client. Use reload() instead. https://ethical-ad-client.readthedocs.io/en/latest/#single-page-apps"
+    );
+  }
+  if (wait) {
+    return wait;
+  }
+  if (!check_dependencies()) {
+    return Promise.resolve([]);
+  }
+
   // Set the client verbosity
   set_verbosity();
 
@@ -1179,21 +3248,20 @@ if (check_dependencies()) {
 
   wait = new Promise((resolve) => {
     wait_dom.then(() => {
+      if (config.watch_navigation) {
+        watch_navigation();
+      }
+
+      // Custom elements are loaded once the page content is available
+      define_element();
+
       load_placements()
         .then((placements) => {
           resolve(placements);
         })
         .catch((err) => {
           resolve([]);
-
-          if (err instanceof Error) {
-            if (err instanceof EthicalAdsWarning) {
-              // Report these at a lower log level
-              logger.warn(err.message);
-              return;
-            }
-            logger.error(err.message);
-          }
+          report_error(err);
         });
     });
   });
@@ -1207,5 +3275,13 @@ if (check_dependencies()) {
     detectedKeywords = null;
     unload_placements();
     load_placements();
+
+    document.querySelectorAll(CUSTOM_ELEMENT_NAME).forEach((element) => {
+      if (element instanceof EthicalAdElement) {
+        element.reload();
+      }
+    });
   };
+
+  return wait;
 }
@@ -0,0 +1,48 @@
+// ES module build for bundlers (`module` in package.json)
+// webpack 4 can't output ES modules so this is built with rollup.
+// Dependencies are left for the site's bundler to resolve and it's left
+// unminified so it can be minified with the rest of the site.
+import json from "@rollup/plugin-json";
+import sass from "sass";
+
+// Compiles the styles the same way as the webpack loaders:
+// styles are added to the page when the first placement is created
+// (`style-loader` with `lazyStyleTag`) and styles for shadow roots are a string
+function styles() {
+  return {
+    name: "styles",
+    transform(code, id) {
+      if (!id.endsWith(".scss")) return null;
+
+      const css = JSON.stringify(sass.compile(id).css);
+      if (id.endsWith("shadow.scss")) {
+        return { code: "export default " + css + ";", map: null };
+      }
+
+      return {
+        code: [
+          "let style = null;",
+          "export default {",
+          "  use() {",
+          "    if (style) return;",
+          '    style = document.createElement("style");',
+          "    style.textContent = " + css + ";",
+          "    document.head.appendChild(style);",
+          "  },",
+          "};",
+        ].join("\n"),
+        map: null,
+      };
+    },
+  };
+}
+
+export default {
+  input: "index.js",
+  external: ["verge"],
+  output: {
+    file: "dist/client.mjs",
+    format: "es",
+  },
+  plugins: [styles(), json()],
+};
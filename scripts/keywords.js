@@ -0,0 +1,66 @@
+/* Validate the keyword taxonomy in `keywords.json`
+ *
+ * The client detects these keywords on publisher pages (see `detectKeywords`
+ * in `index.js`) so they must be written the way the client writes the words
+ * it finds: lowercase letters and numbers with words joined by hyphens.
+ * Aliases must map to a keyword and can't be keywords themselves.
+ *
+ * Usage:
+ *
+ *     npm run keywords
+ */
+const fs = require("fs");
+const path = require("path");
+
+const KEYWORDS_FILE = path.resolve(__dirname, "..", "keywords.json");
+const KEYWORD_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function validate(data) {
+  let errors = [];
+
+  if (typeof data.version !== "string" || !data.version) {
+    errors.push("The version must be a non-empty string.");
+  }
+
+  if (!Array.isArray(data.keywords)) {
+    errors.push("The keywords must be an array.");
+    return errors;
+  }
+
+  let keywords = new Set();
+  data.keywords.forEach((keyword) => {
+    if (typeof keyword !== "string" || !KEYWORD_PATTERN.test(keyword)) {
+      errors.push(`Invalid keyword: ${JSON.stringify(keyword)}`);
+    } else if (keywords.has(keyword)) {
+      errors.push(`Duplicate keyword: ${keyword}`);
+    }
+    keywords.add(keyword);
+  });
+
+  Object.entries(data.aliases || {}).forEach(([alias, keyword]) => {
+    if (!KEYWORD_PATTERN.test(alias)) {
+      errors.push(`Invalid alias: ${JSON.stringify(alias)}`);
+    } else if (keywords.has(alias)) {
+      errors.push(`Alias is also a keyword: ${alias}`);
+    }
+    if (!keywords.has(keyword)) {
+      errors.push(`Alias ${alias} is for an unknown keyword: ${keyword}`);
+    }
+  });
+
+  return errors;
+}
+
+const data = JSON.parse(fs.readFileSync(KEYWORDS_FILE, "utf8"));
+const errors = validate(data);
+if (errors.length) {
+  errors.forEach((error) => console.error(error));
+  process.exit(1);
+}
+
+console.log(
+  "%d keywords and %d aliases (version %s)",
+  data.keywords.length,
+  Object.keys(data.aliases || {}).length,
+  data.version
+);
@@ -1,6 +1,6 @@
 import { default as sinon } from "sinon";
 
-import { Placement } from "../index";
+import { Placement, transports } from "../index";
 
 export function mockAdDecision() {
   // Don't actually call the server
@@ -13,3 +13,16 @@ export function mockAdDecision() {
 
   return stub;
 }
+
+export function mockTransport(name) {
+  // Mock a single decision API transport rather than `Placement.fetch`
+  let stub = sinon.stub(transports, name);
+  stub.resolves({
+    id: "test-ad",
+    html: "<div><!-- A real ad would be here normally --></div>",
+    view_url: "https://server.ethicalads.io/proxy/view/test/",
+    view_time_url: "https://server.ethicalads.io/proxy/view-time/test/",
+  });
+
+  return stub;
+}
@@ -7,19 +7,23 @@ const TerserPlugin = require("terser-webpack-plugin");
 module.exports = (env, argv) => {
   const production = argv.mode == "production";
 
-  return {
-    entry: "./index.js",
-    output: {
-      path: path.resolve(__dirname, "dist"),
-      filename: production ? "ethicalads.min.js" : "ethicalads.js",
-      library: ["ethicalads"],
-      globalObject: "this",
-    },
+  const common = {
     module: {
       rules: [
         {
+          // Styles are added to the page when the first placement is created
           test: /\.scss$/,
-          use: ["style-loader", "css-loader", "sass-loader"],
+          exclude: /shadow\.scss$/,
+          use: [
+            { loader: "style-loader", options: { injectType: "lazyStyleTag" } },
+            "css-loader",
+            "sass-loader",
+          ],
+        },
+        {
+          // Styles for shadow roots are imported as a string
+          test: /shadow\.scss$/,
+          use: ["to-string-loader", "css-loader", "sass-loader"],
         },
         {
           test: /\.js$/,
@@ -33,15 +37,26 @@ module.exports = (env, argv) => {
         },
       ],
     },
-    optimization: {
-      minimize: production,
-      minimizer: [new TerserPlugin(), new OptimizeCssAssetsPlugin({})],
-    },
     watchOptions: {
       aggregateTimeout: 300,
       poll: 1000,
       ignored: ["./node_modules/"],
     },
+  };
+
+  // Script tag bundle which loads the placements on the page
+  const script = Object.assign({}, common, {
+    entry: "./auto.js",
+    output: {
+      path: path.resolve(__dirname, "dist"),
+      filename: production ? "ethicalads.min.js" : "ethicalads.js",
+      library: ["ethicalads"],
+      globalObject: "this",
+    },
+    optimization: {
+      minimize: production,
+      minimizer: [new TerserPlugin(), new OptimizeCssAssetsPlugin({})],
+    },
     devServer: {
       open: false,
       hot: false,
@@ -52,5 +67,21 @@ module.exports = (env, argv) => {
         "Access-Control-Allow-Origin": "*",
       },
     },
-  };
+  });
+
+  // Module without side effects for bundlers (`main` in package.json)
+  // This is left unminified so it can be minified with the rest of the site
+  const library = Object.assign({}, common, {
+    entry: "./index.js",
+    output: {
+      path: path.resolve(__dirname, "dist"),
+      filename: "client.js",
+      libraryTarget: "commonjs2",
+    },
+    optimization: {
+      minimize: false,
+    },
+  });
+
+  return production ? [script, library] : script;
 };